@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 require('dotenv').config();
 const { PrismaClient } = require('@prisma/client');
-const { WebClient } = require('@slack/web-api');
+const { createSlackClient } = require('./slack-client');
 const { subDays, formatISO } = require('date-fns');
 
 // Initialize Prisma client
@@ -9,7 +9,7 @@ const prisma = new PrismaClient();
 
 // Initialize Slack client
 const slackToken = process.env.SLACK_BOT_TOKEN;
-const slack = new WebClient(slackToken);
+const slack = createSlackClient(slackToken);
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -219,6 +219,7 @@ async function fetchSlackData() {
                   update: {
                     text: message.text,
                     thread_ts: thread_ts,
+                    posted_at: createdAt,
                   },
                   create: {
                     ts: ts,
@@ -228,7 +229,8 @@ async function fetchSlackData() {
                     thread_ts: thread_ts,
                     permalink: message.permalink || `https://slack.com/archives/${channel.id}/p${ts.replace('.', '')}`,
                     mentions: message.blocks?.find(b => b.type === 'rich_text')?.elements?.filter(e => e.type === 'user')?.map(e => e.user_id) || [],
-                    createdAt: createdAt
+                    createdAt: createdAt,
+                    posted_at: createdAt
                   }
                 });
                 
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 require('dotenv').config();
-const { WebClient } = require('@slack/web-api');
+const { createSlackClient } = require('./slack-client');
 
 // Initialize Slack client
 const slackToken = process.env.SLACK_BOT_TOKEN;
@@ -10,7 +10,7 @@ if (!slackToken) {
   process.exit(1);
 }
 
-const slack = new WebClient(slackToken);
+const slack = createSlackClient(slackToken);
 
 // ANSI color codes
 const GREEN = '\x1b[32m';
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 require('dotenv').config();
 const { PrismaClient } = require('@prisma/client');
-const { WebClient } = require('@slack/web-api');
+const { createSlackClient } = require('./slack-client');
 const { subHours, format } = require('date-fns');
 
 // Initialize Prisma client
@@ -9,7 +9,7 @@ const prisma = new PrismaClient();
 
 // Initialize Slack client
 const slackToken = process.env.SLACK_BOT_TOKEN;
-const slack = new WebClient(slackToken);
+const slack = createSlackClient(slackToken);
 
 // Get digest channel from env or fallback
 const digestChannelId = process.env.DIGEST_CHANNEL || 'C09JV3TQR8V';
@@ -34,7 +34,7 @@ async function createAndPostHourlySummary() {
       where: {
         messages: {
           some: {
-            createdAt: {
+            posted_at: {
               gte: startDate,
               lte: endDate
             }
@@ -62,13 +62,14 @@ async function createAndPostHourlySummary() {
         const messages = await prisma.message.findMany({
           where: {
             channel_id: channel.id,
-            createdAt: {
+            deleted_at: null,
+            posted_at: {
               gte: startDate,
               lte: endDate
             }
           },
           orderBy: {
-            createdAt: 'asc'
+            ts: 'asc'
           }
         });
         
@@ -113,7 +113,8 @@ async function seedDatabase() {
           thread_ts: threadTs,
           permalink: `https://example.slack.com/archives/${channelId}/${timestamp.getTime()}`,
           mentions: threadTs ? [users[1].slack_id] : [],
-          createdAt: timestamp
+          createdAt: timestamp,
+          posted_at: timestamp
         }
       });
     }
@@ -84,6 +84,7 @@ async function main() {
         permalink: 'https://example.com/archives/C01234GENERAL/p1621573200000001',
         mentions: [],
         createdAt: yesterday,
+        posted_at: yesterday,
       },
     });
 
@@ -96,6 +97,7 @@ async function main() {
         permalink: 'https://example.com/archives/C01234GENERAL/p1621573300000002',
         mentions: [user1.slack_id],
         createdAt: yesterday,
+        posted_at: yesterday,
       },
     });
 
@@ -109,6 +111,7 @@ async function main() {
         thread_ts: '1621573300.000002',
         mentions: [user2.slack_id],
         createdAt: yesterday,
+        posted_at: yesterday,
       },
     });
 
@@ -126,6 +129,7 @@ async function main() {
           'eyes': [user1.slack_id, botUser.slack_id],
         },
         createdAt: yesterday,
+        posted_at: yesterday,
       },
     });
 
@@ -138,6 +142,7 @@ async function main() {
         permalink: 'https://example.com/archives/C01234RANDOM/p1621574300000002',
         mentions: [],
         createdAt: yesterday,
+        posted_at: yesterday,
       },
     });
 
@@ -0,0 +1,29 @@
+// Slack client for the scripts: the app's rate-limited web client and token buckets
+// (src/utils/rate-limits.ts), from the build output when there is one and loaded from
+// source through tsx otherwise. Only SLACK_NON_MARKETPLACE_APP is read from the
+// environment, so scripts do not need the server's configuration.
+function loadRateLimits() {
+  try {
+    return require('../dist/utils/rate-limits');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+      throw error;
+    }
+  }
+
+  require('tsx/cjs');
+  return require('../src/utils/rate-limits.ts');
+}
+
+const { RateLimiter, RateLimitedWebClient } = loadRateLimits();
+
+// Shared by the clients of a script, like the app shares one limiter
+const limiter = new RateLimiter({
+  nonMarketplaceApp: process.env.SLACK_NON_MARKETPLACE_APP === 'true',
+});
+
+function createSlackClient(token) {
+  return new RateLimitedWebClient(limiter, token);
+}
+
+module.exports = { createSlackClient };
@@ -69,7 +69,7 @@ async function generateSummaryForLastDays(days) {
       const messageCount = await prisma.message.count({
         where: {
           channel_id: channel.id,
-          createdAt: {
+          posted_at: {
             gte: startDate
           }
         }
@@ -79,7 +79,7 @@ async function generateSummaryForLastDays(days) {
       const participantsQuery = await prisma.$queryRaw`
         SELECT DISTINCT "user_id" FROM "Message"
         WHERE "channel_id" = ${channel.id}
-        AND "createdAt" >= ${startDate}
+        AND posted_at >= ${startDate}
       `;
       const participantCount = participantsQuery.length;
       
@@ -90,7 +90,7 @@ async function generateSummaryForLastDays(days) {
           thread_ts: {
             not: null
           },
-          createdAt: {
+          posted_at: {
             gte: startDate
           }
         },
@@ -104,7 +104,7 @@ async function generateSummaryForLastDays(days) {
           reactions: {
             not: null
           },
-          createdAt: {
+          posted_at: {
             gte: startDate
           }
         }
@@ -142,7 +142,7 @@ async function generateSummaryForLastDays(days) {
     // Get overall statistics
     const totalMessages = await prisma.message.count({
       where: {
-        createdAt: {
+        posted_at: {
           gte: startDate
         }
       }
@@ -153,7 +153,7 @@ async function generateSummaryForLastDays(days) {
         thread_ts: {
           not: null
         },
-        createdAt: {
+        posted_at: {
           gte: startDate
         }
       },
@@ -172,7 +172,7 @@ async function generateSummaryForLastDays(days) {
     const activeUsers = await prisma.$queryRaw`
       SELECT COUNT(DISTINCT "user_id") as "userCount" 
       FROM "Message" 
-      WHERE "createdAt" >= ${startDate}
+      WHERE posted_at >= ${startDate}
     `;
     
     console.log(`\n=== OVERALL STATISTICS (Last ${days} days) ===`);
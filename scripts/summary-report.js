@@ -18,7 +18,7 @@ async function generateSummaryReport(days) {
     // Get overall message statistics
     const totalMessages = await prisma.message.count({
       where: {
-        createdAt: {
+        posted_at: {
           gte: startDate
         }
       }
@@ -30,7 +30,7 @@ async function generateSummaryReport(days) {
         thread_ts: {
           not: null
         },
-        createdAt: {
+        posted_at: {
           gte: startDate
         }
       }
@@ -41,7 +41,7 @@ async function generateSummaryReport(days) {
       SELECT COUNT(DISTINCT thread_ts) as thread_count
       FROM "Message"
       WHERE thread_ts IS NOT NULL
-      AND "createdAt" >= ${startDate}
+      AND posted_at >= ${startDate}
     `;
     const distinctThreads = parseInt(distinctThreadsResult[0]?.thread_count || '0');
     
@@ -58,7 +58,7 @@ async function generateSummaryReport(days) {
     const activeUsersResult = await prisma.$queryRaw`
       SELECT COUNT(DISTINCT user_id) as user_count
       FROM "Message"
-      WHERE "createdAt" >= ${startDate}
+      WHERE posted_at >= ${startDate}
     `;
     const activeUsers = parseInt(activeUsersResult[0]?.user_count || '0');
     
@@ -91,7 +91,7 @@ async function generateSummaryReport(days) {
         const channelMessages = await prisma.message.count({
           where: {
             channel_id: channel.id,
-            createdAt: {
+            posted_at: {
               gte: startDate
             }
           }
@@ -110,7 +110,7 @@ async function generateSummaryReport(days) {
           FROM "Message"
           WHERE thread_ts IS NOT NULL
           AND channel_id = ${channel.id}
-          AND "createdAt" >= ${startDate}
+          AND posted_at >= ${startDate}
         `;
         const channelThreads = parseInt(channelThreadsResult[0]?.thread_count || '0');
         
@@ -119,7 +119,7 @@ async function generateSummaryReport(days) {
           SELECT COUNT(DISTINCT user_id) as user_count
           FROM "Message"
           WHERE channel_id = ${channel.id}
-          AND "createdAt" >= ${startDate}
+          AND posted_at >= ${startDate}
         `;
         const channelUsers = parseInt(channelUsersResult[0]?.user_count || '0');
         
@@ -103,7 +103,7 @@ async function generateSummaryReport(options) {
     // Get overall message statistics
     const totalMessages = await prisma.message.count({
       where: {
-        createdAt: {
+        posted_at: {
           gte: startDate,
           lte: endDate
         },
@@ -117,7 +117,7 @@ async function generateSummaryReport(options) {
         thread_ts: {
           not: null
         },
-        createdAt: {
+        posted_at: {
           gte: startDate,
           lte: endDate
         },
@@ -134,8 +134,8 @@ async function generateSummaryReport(options) {
         FROM "Message" m
         JOIN "Conversation" c ON m.channel_id = c.id
         WHERE m.thread_ts IS NOT NULL
-        AND m."createdAt" >= ${startDate}
-        AND m."createdAt" <= ${endDate}
+        AND m.posted_at >= ${startDate}
+        AND m.posted_at <= ${endDate}
         AND c.name ILIKE ${`%${channel}%`}
       `;
     } else {
@@ -144,8 +144,8 @@ async function generateSummaryReport(options) {
         FROM "Message" m
         JOIN "Conversation" c ON m.channel_id = c.id
         WHERE m.thread_ts IS NOT NULL
-        AND m."createdAt" >= ${startDate}
-        AND m."createdAt" <= ${endDate}
+        AND m.posted_at >= ${startDate}
+        AND m.posted_at <= ${endDate}
       `;
     }
     const distinctThreads = parseInt(distinctThreadsResult[0]?.thread_count || '0');
@@ -169,8 +169,8 @@ async function generateSummaryReport(options) {
         SELECT COUNT(DISTINCT user_id) as user_count
         FROM "Message" m
         JOIN "Conversation" c ON m.channel_id = c.id
-        WHERE m."createdAt" >= ${startDate}
-        AND m."createdAt" <= ${endDate}
+        WHERE m.posted_at >= ${startDate}
+        AND m.posted_at <= ${endDate}
         AND c.name ILIKE ${`%${channel}%`}
       `;
     } else {
@@ -178,8 +178,8 @@ async function generateSummaryReport(options) {
         SELECT COUNT(DISTINCT user_id) as user_count
         FROM "Message" m
         JOIN "Conversation" c ON m.channel_id = c.id
-        WHERE m."createdAt" >= ${startDate}
-        AND m."createdAt" <= ${endDate}
+        WHERE m.posted_at >= ${startDate}
+        AND m.posted_at <= ${endDate}
       `;
     }
     const activeUsers = parseInt(activeUsersResult[0]?.user_count || '0');
@@ -208,7 +208,7 @@ async function generateSummaryReport(options) {
       const channelMessages = await prisma.message.count({
         where: {
           channel_id: channelData.id,
-          createdAt: {
+          posted_at: {
             gte: startDate,
             lte: endDate
           }
@@ -224,8 +224,8 @@ async function generateSummaryReport(options) {
         FROM "Message"
         WHERE thread_ts IS NOT NULL
         AND channel_id = ${channelData.id}
-        AND "createdAt" >= ${startDate}
-        AND "createdAt" <= ${endDate}
+        AND posted_at >= ${startDate}
+        AND posted_at <= ${endDate}
       `;
       const channelThreads = parseInt(channelThreadsResult[0]?.thread_count || '0');
       
@@ -234,8 +234,8 @@ async function generateSummaryReport(options) {
         SELECT COUNT(DISTINCT user_id) as user_count
         FROM "Message"
         WHERE channel_id = ${channelData.id}
-        AND "createdAt" >= ${startDate}
-        AND "createdAt" <= ${endDate}
+        AND posted_at >= ${startDate}
+        AND posted_at <= ${endDate}
       `;
       const channelUsers = parseInt(channelUsersResult[0]?.user_count || '0');
       
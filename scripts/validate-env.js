@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 require('dotenv').config();
-const { WebClient } = require('@slack/web-api');
+const { createSlackClient } = require('./slack-client');
 const { PrismaClient } = require('@prisma/client');
 
 // ANSI color codes
@@ -26,6 +26,9 @@ const requiredEnvVars = [
 const optionalEnvVars = [
   'DIRECT_URL',
   'OPENAI_API_KEY',
+  'LLM_PROVIDER',
+  'LLM_MODEL',
+  'LLM_BASE_URL',
   'BASE_URL',
   'SUPABASE_URL',
   'SUPABASE_ANON_KEY',
@@ -64,7 +67,7 @@ if (missingVars) {
 
 // Initialize clients
 const prisma = new PrismaClient();
-const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+const slack = createSlackClient(process.env.SLACK_BOT_TOKEN);
 
 async function validateEnvironment() {
   try {
@@ -0,0 +1,18 @@
+import { getRetryDelay } from '../utils/backoff';
+
+describe('Retry backoff', () => {
+  test('doubles the delay for each attempt', () => {
+    expect(getRetryDelay(1, 1000, 60000)).toBe(1000);
+    expect(getRetryDelay(2, 1000, 60000)).toBe(2000);
+    expect(getRetryDelay(4, 1000, 60000)).toBe(8000);
+  });
+
+  test('caps the delay', () => {
+    expect(getRetryDelay(20, 1000, 60000)).toBe(60000);
+  });
+
+  test('waits at least as long as a rate limit asks', () => {
+    expect(getRetryDelay(1, 1000, 60000, 30)).toBe(30000);
+    expect(getRetryDelay(4, 1000, 60000, 1)).toBe(8000);
+  });
+});
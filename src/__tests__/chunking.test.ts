@@ -0,0 +1,88 @@
+import { chunkMessages, mergeSummaries, estimateMessageTokens } from '../utils/chunking';
+
+const message = (ts: string, text: string, thread_ts?: string) => ({ ts, text, thread_ts });
+
+describe('Message chunking', () => {
+  test('keeps a small window in one chunk', () => {
+    const messages = [message('1.000000', 'hello'), message('2.000000', 'world')];
+    expect(chunkMessages(messages, 1000)).toEqual([messages]);
+  });
+
+  test('splits windows that exceed the budget', () => {
+    const text = 'x'.repeat(400);
+    const messages = [message('1.000000', text), message('2.000000', text), message('3.000000', text)];
+    const budget = estimateMessageTokens(messages[0]) * 2;
+
+    const chunks = chunkMessages(messages, budget);
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].map(m => m.ts)).toEqual(['1.000000', '2.000000']);
+    expect(chunks[1].map(m => m.ts)).toEqual(['3.000000']);
+  });
+
+  test('keeps thread replies in the same chunk as their parent', () => {
+    const text = 'x'.repeat(400);
+    const messages = [
+      message('1.000000', text, '1.000000'),
+      message('2.000000', text),
+      message('3.000000', text, '1.000000'),
+    ];
+    const budget = estimateMessageTokens(messages[0]) * 2;
+
+    const chunks = chunkMessages(messages, budget);
+    expect(chunks[0].map(m => m.ts)).toEqual(['1.000000', '3.000000']);
+    expect(chunks[1].map(m => m.ts)).toEqual(['2.000000']);
+  });
+
+  test('splits a thread larger than the budget in time order', () => {
+    const text = 'x'.repeat(400);
+    const messages = [
+      message('1.000000', text, '1.000000'),
+      message('2.000000', text, '1.000000'),
+      message('3.000000', text, '1.000000'),
+    ];
+    const budget = estimateMessageTokens(messages[0]) * 2;
+
+    const chunks = chunkMessages(messages, budget);
+    expect(chunks.map(c => c.map(m => m.ts))).toEqual([['1.000000', '2.000000'], ['3.000000']]);
+  });
+});
+
+describe('Summary merging', () => {
+  const highlight = (ts: string) => ({ text: `message ${ts}`, permalink: `https://x/p${ts}`, ts, user_id: 'U1' });
+  const task = (title: string, confidence: number, owner: string | null = null) => ({
+    title,
+    owner_user_id: owner,
+    due_date: null,
+    confidence,
+    source_ts: '1.000000',
+    source_permalink: 'https://x/p1',
+  });
+
+  test('deduplicates highlights, tasks and mentions across chunks', () => {
+    const merged = mergeSummaries([
+      {
+        summary: '- first part',
+        highlights: [highlight('1.000000'), highlight('2.000000')],
+        tasks: [task('Review the PR', 0.6, 'U2')],
+        mentions: { U2: { count: 2, contexts: ['review'] } },
+        threads: [{ root_ts: '1.000000', summary: 'PR review' }],
+      },
+      {
+        summary: '- second part',
+        highlights: [highlight('2.000000'), highlight('3.000000')],
+        tasks: [task('review the PR.', 0.9), task('Ship the release', 0.8)],
+        mentions: { U2: { count: 1, contexts: ['review', 'release'] }, U3: { count: 1, contexts: [] } },
+        threads: [{ root_ts: '1.000000', summary: 'PR review, continued' }],
+      },
+    ]);
+
+    expect(merged.summary).toBe('- first part\n- second part');
+    expect(merged.highlights.map(h => h.ts)).toEqual(['1.000000', '2.000000', '3.000000']);
+    expect(merged.tasks).toHaveLength(2);
+    expect(merged.tasks[0].confidence).toBe(0.9);
+    expect(merged.tasks[0].owner_user_id).toBe('U2');
+    expect(merged.mentions.U2).toEqual({ count: 3, contexts: ['review', 'release'] });
+    expect(merged.mentions.U3.count).toBe(1);
+    expect(merged.threads).toEqual([{ root_ts: '1.000000', summary: 'PR review' }]);
+  });
+});
@@ -0,0 +1,82 @@
+import { parseTimeRange, isWithinQuietHours, isExpiringWithin } from '../utils/date';
+
+// Monday, 19 October 2026, 15:00 local time
+const now = new Date(2026, 9, 19, 15, 0, 0);
+
+describe('Time range parsing', () => {
+  test('defaults to the past 24 hours', () => {
+    const range = parseTimeRange('', now);
+    expect(range).toEqual({ start: new Date(2026, 9, 18, 15, 0, 0), end: now });
+  });
+
+  test('parses relative ranges', () => {
+    expect(parseTimeRange('last 2h', now)).toEqual({ start: new Date(2026, 9, 19, 13, 0, 0), end: now });
+    expect(parseTimeRange('past 3 days', now)?.start).toEqual(new Date(2026, 9, 16, 15, 0, 0));
+    expect(parseTimeRange('last 30 minutes', now)?.start).toEqual(new Date(2026, 9, 19, 14, 30, 0));
+  });
+
+  test('parses "since" ranges from the start of the day', () => {
+    expect(parseTimeRange('since yesterday', now)).toEqual({ start: new Date(2026, 9, 18, 0, 0, 0), end: now });
+  });
+
+  test('parses explicit date ranges through the end of the last day', () => {
+    const range = parseTimeRange('2026-10-01..2026-10-07', now);
+    expect(range?.start).toEqual(new Date(2026, 9, 1, 0, 0, 0, 0));
+    expect(range?.end).toEqual(new Date(2026, 9, 7, 23, 59, 59, 999));
+  });
+
+  test('covers a whole day for a single date', () => {
+    const range = parseTimeRange('yesterday', now);
+    expect(range?.start).toEqual(new Date(2026, 9, 18, 0, 0, 0, 0));
+    expect(range?.end).toEqual(new Date(2026, 9, 18, 23, 59, 59, 999));
+  });
+
+  test('rejects ranges it cannot parse or that end before they start', () => {
+    expect(parseTimeRange('whenever', now)).toBeNull();
+    expect(parseTimeRange('2026-10-07..2026-10-01', now)).toBeNull();
+  });
+});
+
+describe('Quiet hours', () => {
+  const quiet = (start: number | null, end: number | null, timezone: string | null = null) => ({
+    quiet_hours_start: start,
+    quiet_hours_end: end,
+    timezone,
+  });
+
+  test('is off unless both ends are set', () => {
+    const date = new Date('2026-10-19T23:00:00Z');
+    expect(isWithinQuietHours(date, null)).toBe(false);
+    expect(isWithinQuietHours(date, quiet(22, null))).toBe(false);
+  });
+
+  test('handles ranges within a day and across midnight', () => {
+    expect(isWithinQuietHours(new Date('2026-10-19T13:00:00Z'), quiet(12, 14))).toBe(true);
+    expect(isWithinQuietHours(new Date('2026-10-19T14:00:00Z'), quiet(12, 14))).toBe(false);
+    expect(isWithinQuietHours(new Date('2026-10-19T23:00:00Z'), quiet(22, 7))).toBe(true);
+    expect(isWithinQuietHours(new Date('2026-10-19T03:00:00Z'), quiet(22, 7))).toBe(true);
+    expect(isWithinQuietHours(new Date('2026-10-19T12:00:00Z'), quiet(22, 7))).toBe(false);
+  });
+
+  test("uses the user's time zone", () => {
+    // 03:00 UTC is 23:00 the previous day in New York
+    const date = new Date('2026-10-19T03:00:00Z');
+    expect(isWithinQuietHours(date, quiet(22, 23, 'America/New_York'))).toBe(false);
+    expect(isWithinQuietHours(date, quiet(23, 7, 'America/New_York'))).toBe(true);
+  });
+});
+
+describe('Token expiry', () => {
+  const hour = 3600 * 1000;
+  const at = new Date('2026-10-19T12:00:00Z');
+
+  test('refreshes tokens expiring within the margin', () => {
+    expect(isExpiringWithin(new Date('2026-10-19T13:00:00Z'), 2 * hour, at)).toBe(true);
+    expect(isExpiringWithin(new Date('2026-10-19T11:00:00Z'), 2 * hour, at)).toBe(true);
+    expect(isExpiringWithin(new Date('2026-10-19T15:00:00Z'), 2 * hour, at)).toBe(false);
+  });
+
+  test('treats tokens without an expiry as long-lived', () => {
+    expect(isExpiringWithin(null, 2 * hour, at)).toBe(false);
+  });
+});
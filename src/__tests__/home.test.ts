@@ -0,0 +1,69 @@
+import prisma from '../store';
+import { getWorkspace } from '../workspaces';
+import { postSummaryToSlack } from '../summarize';
+import { deliverSummaryToSubscribers } from '../home';
+
+jest.mock('../store', () => ({
+  __esModule: true,
+  default: {
+    digestSubscription: { findMany: jest.fn(), delete: jest.fn() },
+    conversation: { findUnique: jest.fn() },
+  },
+}));
+
+jest.mock('../logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('../workspaces', () => ({ getWorkspace: jest.fn() }));
+jest.mock('../summarize', () => ({ postSummaryToSlack: jest.fn() }));
+jest.mock('../task-tracker', () => ({ getOpenTasksForOwner: jest.fn() }));
+jest.mock('../tenants', () => ({ getDisabledTenants: jest.fn() }));
+jest.mock('../entity-names', () => ({ loadEntityNames: jest.fn() }));
+
+const db = prisma as any;
+
+describe('Digest delivery', () => {
+  const members = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.digestSubscription.findMany.mockResolvedValue([
+      { id: 1, user_id: 'U1', channel_id: 7 },
+      { id: 2, user_id: 'U2', channel_id: 7 },
+    ]);
+    members.mockResolvedValue({ members: ['U1', 'U3'], response_metadata: {} });
+    (getWorkspace as jest.Mock).mockResolvedValue({ client: { conversations: { members } } });
+  });
+
+  test('unsubscribes users who left a private channel', async () => {
+    db.conversation.findUnique.mockResolvedValue({ id: 7, slack_id: 'G1', type: 'group', team_id: 'T1' });
+
+    await deliverSummaryToSubscribers(5, 7);
+
+    expect(getWorkspace).toHaveBeenCalledWith('T1');
+    expect(postSummaryToSlack).toHaveBeenCalledTimes(1);
+    expect(postSummaryToSlack).toHaveBeenCalledWith(5, 'U1');
+    expect(db.digestSubscription.delete).toHaveBeenCalledWith({ where: { id: 2 } });
+  });
+
+  test('keeps subscriptions when membership cannot be checked', async () => {
+    db.conversation.findUnique.mockResolvedValue({ id: 7, slack_id: 'G1', type: 'group', team_id: 'T1' });
+    members.mockRejectedValue(new Error('ratelimited'));
+
+    await deliverSummaryToSubscribers(5, 7);
+
+    expect(postSummaryToSlack).not.toHaveBeenCalled();
+    expect(db.digestSubscription.delete).not.toHaveBeenCalled();
+  });
+
+  test('delivers public channel summaries without checking members', async () => {
+    db.conversation.findUnique.mockResolvedValue({ id: 7, slack_id: 'C1', type: 'channel', team_id: 'T1' });
+
+    await deliverSummaryToSubscribers(5, 7);
+
+    expect(members).not.toHaveBeenCalled();
+    expect(postSummaryToSlack).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,106 @@
+import prisma from '../store';
+import { ingestWorkspace } from '../ingest';
+
+jest.mock('../store', () => ({
+  __esModule: true,
+  default: {
+    conversation: { upsert: jest.fn() },
+    thread: { findMany: jest.fn() },
+    ingestionCheckpoint: { upsert: jest.fn() },
+  },
+}));
+
+jest.mock('../logger', () => ({
+  __esModule: true,
+  default: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('../config', () => ({
+  __esModule: true,
+  default: { INGEST_CONCURRENCY: 2, MAX_RETRIES: 0, RATE_LIMIT_DELAY: 0, THREAD_REFRESH_DAYS: 7 },
+}));
+
+jest.mock('../slack', () => ({ slackClient: {} }));
+
+jest.mock('../workspaces', () => ({
+  listWorkspaces: jest.fn(),
+  refreshExpiringTokens: jest.fn(),
+  getTeamDomain: jest.fn(),
+  isInstalledTeam: jest.fn().mockResolvedValue(false),
+}));
+
+const db = prisma as any;
+
+const channel = (id: string, isMember: boolean) => ({
+  id,
+  name: id.toLowerCase(),
+  is_channel: true,
+  is_group: false,
+  is_im: false,
+  is_mpim: false,
+  is_shared: true,
+  is_member: isMember,
+});
+
+const workspace = (teamId: string, channels: any[]) =>
+  ({
+    teamId,
+    enterpriseId: 'E1',
+    isEnterpriseInstall: false,
+    client: {
+      conversations: {
+        list: jest.fn().mockResolvedValue({ channels, response_metadata: {} }),
+        history: jest.fn().mockResolvedValue({ messages: [], has_more: false }),
+      },
+    },
+  }) as any;
+
+describe('Workspace ingestion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.conversation.upsert.mockResolvedValue({ id: 1, last_ts_processed: null });
+    db.thread.findMany.mockResolvedValue([]);
+  });
+
+  test('leaves a shared channel the bot has not joined to the next workspace', async () => {
+    const run = { id: 1, checkpoints: new Map() };
+    const ingestedChannels = new Set<string>();
+
+    const first = await ingestWorkspace(workspace('T1', [channel('C1', false)]), undefined, ingestedChannels, run);
+    expect(first).toEqual([expect.objectContaining({ channelId: 'C1', status: 'skipped' })]);
+    expect(ingestedChannels.has('C1')).toBe(false);
+
+    const second = workspace('T2', [channel('C1', true)]);
+    const reports = await ingestWorkspace(second, undefined, ingestedChannels, run);
+    expect(reports).toEqual([expect.objectContaining({ channelId: 'C1', teamId: 'T2', status: 'done' })]);
+    expect(second.client.conversations.history).toHaveBeenCalled();
+    expect(ingestedChannels.has('C1')).toBe(true);
+  });
+
+  test('ingests a shared channel only once per run', async () => {
+    const run = { id: 1, checkpoints: new Map() };
+    const ingestedChannels = new Set<string>();
+
+    await ingestWorkspace(workspace('T1', [channel('C1', true)]), undefined, ingestedChannels, run);
+    const second = workspace('T2', [channel('C1', true)]);
+    const reports = await ingestWorkspace(second, undefined, ingestedChannels, run);
+
+    expect(reports).toEqual([]);
+    expect(second.client.conversations.history).not.toHaveBeenCalled();
+  });
+
+  test('counts a channel finished earlier in the run as ingested', async () => {
+    const run = {
+      id: 1,
+      checkpoints: new Map([['C1', { status: 'done', message_count: 3, reply_count: 1 }]]),
+    } as any;
+    const ingestedChannels = new Set<string>();
+
+    const first = workspace('T1', [channel('C1', true)]);
+    const reports = await ingestWorkspace(first, undefined, ingestedChannels, run);
+
+    expect(reports).toEqual([expect.objectContaining({ status: 'done', messages: 3, resumed: true })]);
+    expect(first.client.conversations.history).not.toHaveBeenCalled();
+    expect(ingestedChannels.has('C1')).toBe(true);
+  });
+});
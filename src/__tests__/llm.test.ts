@@ -0,0 +1,97 @@
+import nock from 'nock';
+import { createLLMProvider, parseJsonResponse, LLMSettings } from '../llm';
+
+jest.mock('../config', () => ({
+  __esModule: true,
+  default: {
+    NODE_ENV: 'test',
+    LLM_TEMPERATURE: 0.1,
+    LLM_MAX_TOKENS: 2048,
+    LLM_TIMEOUT_MS: 5000,
+  },
+}));
+
+// Local stand-in model served the way Ollama and llama.cpp serve it
+const localSettings: LLMSettings = {
+  provider: 'ollama',
+  model: 'llama3.1',
+  baseUrl: 'http://localhost:11434/v1',
+  temperature: 0.1,
+  maxTokens: 512,
+  jsonMode: true,
+  timeoutMs: 5000,
+};
+
+const completion = (content: string) => ({
+  id: 'chatcmpl-1',
+  object: 'chat.completion',
+  created: 1621573200,
+  model: 'llama3.1',
+  choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+});
+
+describe('LLM providers', () => {
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  test('sends chat completions to a local server without an API key', async () => {
+    let requestBody: any;
+    const scope = nock('http://localhost:11434')
+      .post('/v1/chat/completions', body => {
+        requestBody = body;
+        return true;
+      })
+      .reply(200, completion('{"summary":"ok"}'));
+
+    const provider = createLLMProvider(localSettings);
+    const content = await provider.complete([{ role: 'user', content: 'Hello' }], { json: true });
+
+    expect(content).toBe('{"summary":"ok"}');
+    expect(requestBody.model).toBe('llama3.1');
+    expect(requestBody.max_tokens).toBe(512);
+    expect(requestBody.response_format).toEqual({ type: 'json_object' });
+    expect(scope.isDone()).toBe(true);
+  });
+
+  test('omits JSON mode for servers that do not support it', async () => {
+    let requestBody: any;
+    nock('http://localhost:8080')
+      .post('/v1/chat/completions', body => {
+        requestBody = body;
+        return true;
+      })
+      .reply(200, completion('{}'));
+
+    const provider = createLLMProvider({
+      ...localSettings,
+      provider: 'openai-compatible',
+      baseUrl: 'http://localhost:8080/v1',
+      apiKey: 'local',
+      jsonMode: false,
+    });
+    await provider.complete([{ role: 'user', content: 'Hello' }], { json: true });
+
+    expect(requestBody.response_format).toBeUndefined();
+  });
+
+  test('requires an API key for hosted providers', () => {
+    expect(() => createLLMProvider({ ...localSettings, provider: 'openai' })).toThrow();
+    expect(() => createLLMProvider({ ...localSettings, provider: 'anthropic' })).toThrow();
+  });
+});
+
+describe('JSON response parsing', () => {
+  test('parses plain JSON', () => {
+    expect(parseJsonResponse('{"summary":"ok"}')).toEqual({ summary: 'ok' });
+  });
+
+  test('extracts JSON wrapped in code fences or prose', () => {
+    const content = 'Here is the summary:\n```json\n{"summary":"ok","tasks":[]}\n```';
+    expect(parseJsonResponse(content)).toEqual({ summary: 'ok', tasks: [] });
+  });
+
+  test('throws when there is no JSON object', () => {
+    expect(() => parseJsonResponse('No summary today.')).toThrow();
+  });
+});
@@ -0,0 +1,88 @@
+import {
+  isStoredMessage,
+  getMessageAuthor,
+  getBotName,
+  extractAttachmentText,
+  extractFileMetadata,
+  getSummaryText,
+} from '../utils/messages';
+
+const ciAlert = {
+  type: 'message',
+  subtype: 'bot_message',
+  bot_id: 'B123',
+  username: 'CI',
+  text: 'Build failed',
+  attachments: [
+    {
+      title: 'deploy #42',
+      text: 'Tests failed on main',
+      fields: [{ title: 'Branch', value: 'main' }],
+      fallback: 'deploy #42 failed',
+    },
+  ],
+};
+
+describe('Message content', () => {
+  test('stores user, bot and file share messages but not channel events', () => {
+    expect(isStoredMessage({ type: 'message', user: 'U1', text: 'hi' })).toBe(true);
+    expect(isStoredMessage(ciAlert)).toBe(true);
+    expect(isStoredMessage({ type: 'message', subtype: 'file_share', user: 'U1' })).toBe(true);
+    expect(isStoredMessage({ type: 'message', subtype: 'channel_join', user: 'U1' })).toBe(false);
+    expect(isStoredMessage({ type: 'message', text: 'no author' })).toBe(false);
+  });
+
+  test('attributes bot messages to the bot', () => {
+    expect(getMessageAuthor(ciAlert)).toBe('B123');
+    expect(getMessageAuthor({ user: 'U1', bot_id: 'B123' })).toBe('U1');
+    expect(getBotName(ciAlert)).toBe('CI');
+    expect(getBotName({ bot_id: 'B1', bot_profile: { name: 'Deploybot' } })).toBe('Deploybot');
+    expect(getBotName({ user: 'U1', username: 'someone' })).toBeNull();
+  });
+
+  test('extracts attachment text without the fallback when there is more', () => {
+    expect(extractAttachmentText(ciAlert)).toBe('deploy #42\nTests failed on main\nBranch: main');
+    expect(extractAttachmentText({ attachments: [{ fallback: 'Only a fallback' }] })).toBe('Only a fallback');
+  });
+
+  test('extracts block text, skipping rich text and repeats of the message text', () => {
+    const message = {
+      text: 'Deploy finished',
+      blocks: [
+        { type: 'rich_text', elements: [] },
+        { type: 'header', text: { type: 'plain_text', text: 'Deploy finished' } },
+        { type: 'section', text: { type: 'mrkdwn', text: '*api* v1.2.3' }, fields: [{ type: 'mrkdwn', text: 'prod' }] },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: 'by Deploybot' }, { type: 'image' }] },
+      ],
+    };
+
+    expect(extractAttachmentText(message)).toBe('*api* v1.2.3\nprod\nby Deploybot');
+    expect(extractAttachmentText({ text: 'plain' })).toBeNull();
+  });
+
+  test('extracts file metadata', () => {
+    const files = extractFileMetadata({
+      files: [
+        { id: 'F1', name: 'design.pdf', title: 'Design doc', filetype: 'pdf', mimetype: 'application/pdf', size: 2048, permalink: 'https://acme.slack.com/files/U1/F1/design.pdf' },
+        { id: 'F2', mode: 'hidden_by_limit' },
+      ],
+    });
+
+    expect(files).toEqual([
+      { id: 'F1', name: 'design.pdf', title: 'Design doc', filetype: 'pdf', mimetype: 'application/pdf', size: 2048, permalink: 'https://acme.slack.com/files/U1/F1/design.pdf' },
+      { id: 'F2', name: null, title: null, filetype: null, mimetype: null, size: null, permalink: null },
+    ]);
+    expect(extractFileMetadata({ text: 'no files' })).toBeNull();
+  });
+
+  test('combines text, attachments and files for summaries', () => {
+    expect(
+      getSummaryText({
+        text: 'Here it is',
+        attachment_text: 'Design doc v2',
+        files: [{ id: 'F1', name: 'design.pdf', title: 'Design doc', filetype: 'pdf', mimetype: null, size: null, permalink: null }],
+      })
+    ).toBe('Here it is\nDesign doc v2\n[shared files: Design doc, pdf]');
+    expect(getSummaryText({ text: 'just text' })).toBe('just text');
+  });
+});
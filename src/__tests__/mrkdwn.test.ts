@@ -0,0 +1,47 @@
+import { collectEntityIds, renderSlackText, escapeMrkdwn } from '../utils/mrkdwn';
+
+const names = {
+  users: { U1: 'Priya', U2: 'Sam <ops>' },
+  channels: { C1: 'dev-team' },
+};
+
+describe('Slack markup rendering', () => {
+  test('collects mentioned users and channels', () => {
+    expect(collectEntityIds(['<@U1> see <#C1|dev-team>', '<@U1|priya> and <@U2>', '<https://x.com>'])).toEqual({
+      users: ['U1', 'U2'],
+      channels: ['C1'],
+    });
+  });
+
+  test('names users and channels in plain text', () => {
+    expect(renderSlackText('<@U1> asked <#C1> about it', names, 'plain')).toBe('@Priya asked #dev-team about it');
+    expect(renderSlackText('ping <@U9|old-name> and <@U8>', names, 'plain')).toBe('ping @old-name and @unknown user');
+  });
+
+  test('handles special mentions and user groups', () => {
+    expect(renderSlackText('<!here> <!channel> <!subteam^S1|@dev-team> please review', names, 'plain')).toBe(
+      '@here @channel @dev-team please review'
+    );
+    expect(renderSlackText('due <!date^1760886000^{date}|Oct 19>', names, 'plain')).toBe('due Oct 19');
+  });
+
+  test('unwraps links, entities and common emoji in plain text', () => {
+    expect(renderSlackText('<https://example.com/doc|the doc> :white_check_mark:', names, 'plain')).toBe(
+      'the doc (https://example.com/doc) ✅'
+    );
+    expect(renderSlackText('<https://example.com> and <mailto:a@b.co|a@b.co>', names, 'plain')).toBe(
+      'https://example.com and a@b.co'
+    );
+    expect(renderSlackText('a &lt;b&gt; &amp; :custom_emoji:', names, 'plain')).toBe('a <b> & :custom_emoji:');
+  });
+
+  test('keeps links and channels in mrkdwn but mentions nobody', () => {
+    expect(renderSlackText('<@U2> shared <https://x.com|x> in <#C1|dev-team> <!everyone>', names, 'mrkdwn')).toBe(
+      '@Sam &lt;ops&gt; shared <https://x.com|x> in <#C1> @everyone'
+    );
+  });
+
+  test('escapes mrkdwn control characters', () => {
+    expect(escapeMrkdwn('a < b & c > d')).toBe('a &lt; b &amp; c &gt; d');
+  });
+});
@@ -0,0 +1,31 @@
+import { buildPermalink, getDomainFromUrl } from '../utils/permalink';
+
+describe('Permalinks', () => {
+  test('links to a message in its workspace', () => {
+    expect(buildPermalink('acme', 'C123', '1760886000.000100')).toBe(
+      'https://acme.slack.com/archives/C123/p1760886000000100'
+    );
+  });
+
+  test('links replies into their thread', () => {
+    expect(buildPermalink('acme', 'C123', '1760886100.000200', '1760886000.000100')).toBe(
+      'https://acme.slack.com/archives/C123/p1760886100000200?thread_ts=1760886000.000100&cid=C123'
+    );
+  });
+
+  test('treats a thread parent as a top-level message', () => {
+    expect(buildPermalink('acme', 'C123', '1760886000.000100', '1760886000.000100')).toBe(
+      'https://acme.slack.com/archives/C123/p1760886000000100'
+    );
+  });
+
+  test('falls back to slack.com without a domain', () => {
+    expect(buildPermalink(null, 'C123', '1760886000.000100')).toBe('https://slack.com/archives/C123/p1760886000000100');
+  });
+
+  test('reads the domain of a workspace URL', () => {
+    expect(getDomainFromUrl('https://acme.slack.com/')).toBe('acme');
+    expect(getDomainFromUrl('https://acme-eng.enterprise.slack.com/')).toBeNull();
+    expect(getDomainFromUrl(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,32 @@
+import { mapWithConcurrency } from '../utils/pool';
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Bounded concurrency', () => {
+  test('never runs more than the limit at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(5);
+      running -= 1;
+    });
+
+    expect(maxRunning).toBe(3);
+  });
+
+  test('keeps results in item order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+      await sleep(ms);
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  test('handles an empty list', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+import { RateLimiter, TokenBucket, getMethodTier } from '../utils/rate-limits';
+
+describe('Slack rate limit tiers', () => {
+  test('maps methods to their tier', () => {
+    expect(getMethodTier('conversations.list')).toBe('tier2');
+    expect(getMethodTier('users.info')).toBe('tier4');
+    expect(getMethodTier('chat.postMessage')).toBe('postMessage');
+    expect(getMethodTier('some.new.method')).toBe('tier3');
+  });
+
+  test('limits history reads of non-Marketplace apps', () => {
+    expect(getMethodTier('conversations.history')).toBe('tier3');
+    expect(getMethodTier('conversations.history', true)).toBe('limitedHistory');
+    expect(getMethodTier('conversations.replies', true)).toBe('limitedHistory');
+    expect(getMethodTier('users.info', true)).toBe('tier4');
+  });
+});
+
+describe('Token bucket', () => {
+  test('allows a burst, then spaces calls at the refill rate', () => {
+    // 60 per minute, burst of 2
+    const bucket = new TokenBucket(2, 60, 0);
+
+    expect(bucket.reserve(0)).toBe(0);
+    expect(bucket.reserve(0)).toBe(0);
+    expect(bucket.reserve(0)).toBe(1000);
+    expect(bucket.reserve(0)).toBe(2000);
+  });
+
+  test('refills over time up to its capacity', () => {
+    const bucket = new TokenBucket(2, 60, 0);
+    bucket.reserve(0);
+    bucket.reserve(0);
+
+    expect(bucket.reserve(1000)).toBe(0);
+    expect(bucket.reserve(60000)).toBe(0);
+    expect(bucket.reserve(60000)).toBe(0);
+    expect(bucket.reserve(60000)).toBe(1000);
+  });
+
+  test('holds calls back after a rate limit', () => {
+    const bucket = new TokenBucket(2, 60, 0);
+    bucket.pause(30000, 0);
+
+    expect(bucket.reserve(0)).toBe(31000);
+  });
+});
+
+describe('Rate limiter', () => {
+  test('reports the tier and wait of each call', async () => {
+    const onAcquire = jest.fn();
+    const limiter = new RateLimiter({ nonMarketplaceApp: true, onAcquire });
+
+    await limiter.acquire('T1', 'conversations.history');
+
+    expect(onAcquire).toHaveBeenCalledWith({ method: 'conversations.history', tier: 'limitedHistory', waitMs: 0 });
+  });
+
+  test('holds back only the rate limited method of the workspace', async () => {
+    jest.useFakeTimers();
+    const onAcquire = jest.fn();
+    const onRateLimited = jest.fn();
+    const limiter = new RateLimiter({ onAcquire, onRateLimited });
+    const waits = () => onAcquire.mock.calls.map(([call]) => call.waitMs);
+
+    await limiter.acquire('T1', 'users.info');
+    limiter.recordRateLimited('T1', 'users.info', 30);
+    await limiter.acquire('T1', 'users.list');
+    await limiter.acquire('T2', 'users.info');
+    const held = limiter.acquire('T1', 'users.info');
+
+    expect(onRateLimited).toHaveBeenCalledWith({ method: 'users.info', tier: 'tier4', retryAfterSeconds: 30 });
+    expect(waits().slice(0, 3)).toEqual([0, 0, 0]);
+    expect(waits()[3]).toBeGreaterThanOrEqual(30000);
+
+    jest.runAllTimers();
+    await held;
+    jest.useRealTimers();
+  });
+});
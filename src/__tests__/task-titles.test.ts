@@ -0,0 +1,23 @@
+import { normalizeTaskTitle, isSimilarTaskTitle } from '../utils/tasks';
+
+describe('Task title matching', () => {
+  test('normalizes case, punctuation and user mentions', () => {
+    expect(normalizeTaskTitle('<@U123> Review the PR!')).toBe('review the pr');
+  });
+
+  test('matches the same task phrased by different extractors', () => {
+    expect(isSimilarTaskTitle('review the PR', 'Review the PR before Friday')).toBe(true);
+    expect(isSimilarTaskTitle('Update the staging config', 'update the staging config for release')).toBe(true);
+  });
+
+  test('does not match different tasks sharing most of their words', () => {
+    expect(isSimilarTaskTitle('Review the PR', 'Review the docs')).toBe(false);
+    expect(isSimilarTaskTitle('Deploy to staging', 'Deploy to production')).toBe(false);
+    expect(isSimilarTaskTitle('review the PR', 'review the PRD')).toBe(false);
+  });
+
+  test('does not match unrelated tasks', () => {
+    expect(isSimilarTaskTitle('review the PR', 'ship the release')).toBe(false);
+    expect(isSimilarTaskTitle('', 'ship the release')).toBe(false);
+  });
+});
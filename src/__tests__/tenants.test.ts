@@ -0,0 +1,126 @@
+import prisma from '../store';
+import { disableInstallation, purgeTenantData, activeConversationWhere } from '../tenants';
+
+jest.mock('../store', () => ({
+  __esModule: true,
+  default: {
+    installation: { updateMany: jest.fn(), upsert: jest.fn(), deleteMany: jest.fn() },
+    auditLog: { create: jest.fn() },
+    conversation: { findMany: jest.fn(), deleteMany: jest.fn() },
+    task: { deleteMany: jest.fn() },
+    thread: { deleteMany: jest.fn() },
+    message: { deleteMany: jest.fn() },
+    summary: { deleteMany: jest.fn() },
+    rollup: { deleteMany: jest.fn() },
+    digestSubscription: { deleteMany: jest.fn() },
+    user: { deleteMany: jest.fn() },
+    userSettings: { deleteMany: jest.fn() },
+    ingestionJob: { deleteMany: jest.fn() },
+    processedEvent: { deleteMany: jest.fn() },
+  },
+}));
+
+jest.mock('../logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), error: jest.fn() },
+}));
+
+const db = prisma as any;
+
+const auditActions = () => db.auditLog.create.mock.calls.map(([args]: any) => args.data.action);
+
+describe('Tenant lifecycle', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    for (const model of Object.values(db) as any[]) {
+      model.deleteMany?.mockResolvedValue({ count: 0 });
+    }
+    db.installation.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  test('disables a workspace installation and clears its tokens', async () => {
+    const tenant = { teamId: 'T1', enterpriseId: null, isEnterpriseInstall: false };
+
+    await disableInstallation(tenant, 'app_uninstalled');
+
+    const { where, update } = db.installation.upsert.mock.calls[0][0];
+    expect(where).toEqual({ team_id: 'T1' });
+    expect(update.disabled_at).toBeInstanceOf(Date);
+    expect(update).toMatchObject({ disabled_reason: 'app_uninstalled', bot_token: '', user_token: null });
+    expect(auditActions()).toEqual(['installation_disabled']);
+  });
+
+  test('disables every installation of an org-wide install', async () => {
+    const tenant = { teamId: null, enterpriseId: 'E1', isEnterpriseInstall: true };
+
+    await disableInstallation(tenant, 'tokens_revoked');
+
+    const { where, data } = db.installation.updateMany.mock.calls[0][0];
+    expect(where).toEqual({ enterprise_id: 'E1', is_enterprise_install: true });
+    expect(data).toMatchObject({ disabled_reason: 'tokens_revoked', bot_token: '' });
+    expect(db.installation.upsert).not.toHaveBeenCalled();
+  });
+
+  test('purges only the data of the tenant, children before conversations', async () => {
+    db.conversation.findMany.mockResolvedValue([
+      { id: 1, team_id: 'T1' },
+      { id: 2, team_id: null },
+    ]);
+    const tenant = { teamId: 'T1', enterpriseId: null, isEnterpriseInstall: false };
+
+    await purgeTenantData(tenant);
+
+    expect(db.conversation.findMany).toHaveBeenCalledWith({ where: { team_id: 'T1' } });
+    expect(db.message.deleteMany).toHaveBeenCalledWith({ where: { channel_id: { in: [1, 2] } } });
+    expect(db.rollup.deleteMany).toHaveBeenCalledWith({
+      where: { OR: [{ channel_id: { in: [1, 2] } }, { team_id: { in: ['T1'] } }] },
+    });
+    expect(db.user.deleteMany).toHaveBeenCalledWith({ where: { team_id: { in: ['T1'] } } });
+    expect(db.ingestionJob.deleteMany).toHaveBeenCalledWith({ where: { team_id: { in: ['T1'] } } });
+    expect(db.processedEvent.deleteMany).toHaveBeenCalledWith({ where: { team_id: { in: ['T1'] } } });
+    expect(db.installation.deleteMany).toHaveBeenCalledWith({ where: { team_id: 'T1' } });
+
+    const order = (model: any) => model.deleteMany.mock.invocationCallOrder[0];
+    expect(order(db.message)).toBeLessThan(order(db.conversation));
+    expect(order(db.task)).toBeLessThan(order(db.conversation));
+    expect(auditActions()[0]).toBe('purge_started');
+    expect(auditActions()[auditActions().length - 1]).toBe('purge_completed');
+  });
+
+  test('purges an org by enterprise', async () => {
+    db.conversation.findMany.mockResolvedValue([{ id: 3, team_id: 'T2' }]);
+    const tenant = { teamId: null, enterpriseId: 'E1', isEnterpriseInstall: true };
+
+    await purgeTenantData(tenant);
+
+    expect(db.conversation.findMany).toHaveBeenCalledWith({ where: { enterprise_id: 'E1' } });
+    expect(db.user.deleteMany).toHaveBeenCalledWith({ where: { enterprise_id: 'E1' } });
+    expect(db.ingestionJob.deleteMany).toHaveBeenCalledWith({
+      where: { OR: [{ enterprise_id: 'E1' }, { team_id: { in: ['T2'] } }] },
+    });
+    expect(db.processedEvent.deleteMany).toHaveBeenCalledWith({ where: { team_id: { in: ['T2'] } } });
+    expect(db.installation.deleteMany).toHaveBeenCalledWith({
+      where: { enterprise_id: 'E1', is_enterprise_install: true },
+    });
+  });
+
+  test('stops purging when a step fails', async () => {
+    db.conversation.findMany.mockResolvedValue([{ id: 1, team_id: 'T1' }]);
+    db.message.deleteMany.mockRejectedValue(new Error('connection lost'));
+    const tenant = { teamId: 'T1', enterpriseId: null, isEnterpriseInstall: false };
+
+    await expect(purgeTenantData(tenant)).rejects.toThrow('connection lost');
+    expect(db.conversation.deleteMany).not.toHaveBeenCalled();
+    expect(db.installation.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('filters out conversations of disabled teams and orgs', () => {
+    expect(activeConversationWhere({ teamIds: ['T1'], enterpriseIds: ['E1'] })).toEqual({
+      AND: [
+        { OR: [{ team_id: null }, { team_id: { notIn: ['T1'] } }] },
+        { OR: [{ enterprise_id: null }, { enterprise_id: { notIn: ['E1'] } }] },
+      ],
+    });
+  });
+});
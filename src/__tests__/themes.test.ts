@@ -0,0 +1,29 @@
+import { extractRecurringThemes } from '../utils/themes';
+
+describe('Recurring theme extraction', () => {
+  test('finds phrases that recur across summaries', () => {
+    const themes = extractRecurringThemes([
+      'Discussed the database migration and the release schedule.',
+      'The database migration is blocked on review.',
+      'Release schedule moved to Friday after the database migration.',
+    ]);
+
+    expect(themes[0]).toEqual({ theme: 'database migration', occurrences: 3 });
+    expect(themes.map(t => t.theme)).toContain('release schedule');
+    // Words covered by a phrase at the same frequency are not repeated
+    expect(themes.map(t => t.theme)).not.toContain('database');
+  });
+
+  test('ignores terms that appear in only one summary', () => {
+    const themes = extractRecurringThemes(['Kubernetes upgrade planned', 'Lunch order placed']);
+    expect(themes).toHaveLength(0);
+  });
+
+  test('ignores Slack markup and links', () => {
+    const themes = extractRecurringThemes([
+      '<@U1234> shared https://example.com/doc',
+      '<@U1234> shared https://example.com/doc',
+    ]);
+    expect(themes).toHaveLength(0);
+  });
+});
@@ -0,0 +1,90 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { deflateRawSync } from 'zlib';
+import { openZipBuffer, openZipFile } from '../utils/zip';
+
+/**
+ * Build a ZIP archive in memory. CRCs are left empty since yauzl does not check them.
+ */
+function buildZip(files: Array<{ name: string; content: string; deflate?: boolean }>) {
+  const locals: Buffer[] = [];
+  const centrals: Buffer[] = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const content = Buffer.from(file.content, 'utf8');
+    const data = file.deflate ? deflateRawSync(content) : content;
+    const method = file.deflate ? 8 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe('ZIP reading', () => {
+  test('reads stored and deflated entries', async () => {
+    const archive = buildZip([
+      { name: 'users.json', content: '[{"id":"U1"}]' },
+      { name: 'général/2026-10-19.json', content: JSON.stringify([{ text: 'x'.repeat(500) }]), deflate: true },
+    ]);
+
+    const { entries, close } = await openZipBuffer(archive);
+
+    expect(entries.map(e => e.name)).toEqual(['users.json', 'général/2026-10-19.json']);
+    expect((await entries[0].read()).toString()).toBe('[{"id":"U1"}]');
+    expect(JSON.parse((await entries[1].read()).toString())[0].text).toHaveLength(500);
+    close();
+  });
+
+  test('reads entries of an archive on disk', async () => {
+    const archivePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-')), 'export.zip');
+    fs.writeFileSync(archivePath, buildZip([{ name: 'channels.json', content: '[]', deflate: true }]));
+
+    const { entries, close } = await openZipFile(archivePath);
+
+    expect((await entries[0].read()).toString()).toBe('[]');
+    close();
+    fs.rmSync(path.dirname(archivePath), { recursive: true });
+  });
+
+  test('skips directory entries', async () => {
+    const { entries } = await openZipBuffer(
+      buildZip([{ name: 'general/', content: '' }, { name: 'general/a.json', content: '[]' }])
+    );
+    expect(entries.map(e => e.name)).toEqual(['general/a.json']);
+  });
+
+  test('rejects files that are not ZIP archives', async () => {
+    await expect(openZipBuffer(Buffer.from('not a zip file at all, just some text'))).rejects.toThrow();
+  });
+});
@@ -10,22 +10,54 @@ const ConfigSchema = z.object({
   
   // Slack Configuration
   SLACK_SIGNING_SECRET: z.string().min(1),
-  SLACK_BOT_TOKEN: z.string().startsWith('xoxb-'),
+  // Single-workspace token, optional once the app is installed through OAuth
+  SLACK_BOT_TOKEN: z.string().startsWith('xoxb-').optional(),
   SLACK_CLIENT_ID: z.string().min(1),
   SLACK_CLIENT_SECRET: z.string().min(1),
+  // Receive events over Socket Mode with an app-level token instead of at /slack/events
+  SLACK_SOCKET_MODE: z.enum(['true', 'false']).transform(v => v === 'true').default('false'),
+  SLACK_APP_TOKEN: z.string().startsWith('xapp-').optional(),
+  
+  // Master key for encrypting stored Slack tokens (32 bytes, base64 or hex), or a file
+  // of keys one per line with the current key first; see token-encryption.ts
+  TOKEN_ENCRYPTION_KEY: z.string().min(1).optional(),
+  TOKEN_ENCRYPTION_KEY_FILE: z.string().min(1).optional(),
+  // Comma-separated keys that tokens may still be encrypted with, kept until rotated
+  TOKEN_ENCRYPTION_PREVIOUS_KEYS: z.string().optional(),
   
   // Application Configuration
   BASE_URL: z.string().url(),
+  // Default digest channel, for workspaces that did not pick one at install
   DIGEST_CHANNEL: z.string().startsWith('C').optional(),
   
   // OpenAI Configuration (optional)
   OPENAI_API_KEY: z.string().optional(),
   
+  // LLM Provider Configuration (optional, defaults to OpenAI when OPENAI_API_KEY is set)
+  LLM_PROVIDER: z.enum(['openai', 'openai-compatible', 'anthropic', 'ollama']).optional(),
+  LLM_MODEL: z.string().min(1).optional(),
+  LLM_BASE_URL: z.string().url().optional(),
+  LLM_API_KEY: z.string().optional(),
+  LLM_TEMPERATURE: z.coerce.number().min(0).max(2).default(0.1),
+  LLM_MAX_TOKENS: z.coerce.number().int().positive().default(2048),
+  LLM_CONTEXT_TOKENS: z.coerce.number().int().positive().default(16000),
+  LLM_JSON_MODE: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+  LLM_TIMEOUT_MS: z.coerce.number().int().positive().default(60000),
+  
   // Scheduling
   CRON_EXPR: z.string().default('0 23 * * *'),
+  WEEKLY_ROLLUP_CRON: z.string().default('30 23 * * 6'),
+  MONTHLY_ROLLUP_CRON: z.string().default('30 0 1 * *'),
+  REMINDER_CRON: z.string().default('*/15 * * * *'),
+  
+  // Task reminders are sent this many hours before the due date
+  REMINDER_LEAD_HOURS: z.coerce.number().int().positive().default(24),
+  REMINDER_SNOOZE_HOURS: z.coerce.number().int().positive().default(24),
   
   // Data Retention
   SOFT_DELETE_DAYS: z.coerce.number().int().nonnegative().optional(),
+  // Days after an uninstall before the workspace's data is purged; unset keeps it
+  UNINSTALL_PURGE_DAYS: z.coerce.number().int().nonnegative().optional(),
   
   // Database
   DATABASE_URL: z.string().url(),
@@ -35,8 +67,30 @@ const ConfigSchema = z.object({
   SUPABASE_ANON_KEY: z.string().min(1),
   
   // Rate Limiting
+  // Apps distributed outside the Slack Marketplace may read history once a minute
+  SLACK_NON_MARKETPLACE_APP: z.enum(['true', 'false']).transform(v => v === 'true').default('false'),
   RATE_LIMIT_DELAY: z.coerce.number().int().nonnegative().default(1000),
   MAX_RETRIES: z.coerce.number().int().nonnegative().default(3),
+  
+  // Redelivered Slack events are skipped for this long after the first delivery
+  EVENT_DEDUPE_TTL_MINUTES: z.coerce.number().int().positive().default(60),
+  
+  // Ingestion Queue
+  QUEUE_CONCURRENCY: z.coerce.number().int().positive().default(4),
+  QUEUE_MAX_ATTEMPTS: z.coerce.number().int().positive().default(5),
+  QUEUE_RETRY_DELAY_MS: z.coerce.number().int().positive().default(5000),
+  QUEUE_POLL_INTERVAL_MS: z.coerce.number().int().positive().default(1000),
+  // Completed jobs are deleted after this many days
+  QUEUE_RETENTION_DAYS: z.coerce.number().int().positive().default(7),
+  
+  // Conversations of a workspace ingested at the same time by batch ingestion
+  INGEST_CONCURRENCY: z.coerce.number().int().positive().default(4),
+  
+  // Threads with a reply in this many days are re-checked for new replies
+  THREAD_REFRESH_DAYS: z.coerce.number().int().nonnegative().default(7),
+}).refine(env => !env.SLACK_SOCKET_MODE || env.SLACK_APP_TOKEN, {
+  message: 'SLACK_APP_TOKEN is required when SLACK_SOCKET_MODE is enabled',
+  path: ['SLACK_APP_TOKEN'],
 });
 
 // Parse and validate environment variables
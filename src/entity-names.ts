@@ -0,0 +1,43 @@
+import prisma from './store';
+import logger from './logger';
+import { EntityNames, collectEntityIds } from './utils/mrkdwn';
+
+/**
+ * Look up names for the users and channels mentioned in the texts, and for any
+ * other users given, such as message authors. Users are named by their real name
+ * when known. IDs that are not stored are left out.
+ */
+export async function loadEntityNames(texts: string[], userIds: string[] = []): Promise<EntityNames> {
+  const ids = collectEntityIds(texts);
+  const users = [...new Set([...ids.users, ...userIds])];
+
+  try {
+    const [storedUsers, storedChannels] = await Promise.all([
+      users.length > 0
+        ? prisma.user.findMany({
+            where: { slack_id: { in: users } },
+            select: { slack_id: true, name: true, real_name: true },
+          })
+        : [],
+      ids.channels.length > 0
+        ? prisma.conversation.findMany({
+            where: { slack_id: { in: ids.channels } },
+            select: { slack_id: true, name: true },
+          })
+        : [],
+    ]);
+
+    return {
+      users: Object.fromEntries(storedUsers.map((user: { slack_id: string; name: string; real_name: string | null }) => [user.slack_id, user.real_name || user.name])),
+      channels: Object.fromEntries(storedChannels.map((channel: { slack_id: string; name: string }) => [channel.slack_id, channel.name])),
+    };
+  } catch (error) {
+    // Text is still rendered without names, with the labels Slack included
+    logger.error({ error }, 'Failed to look up user and channel names');
+    return { users: {}, channels: {} };
+  }
+}
+
+export default {
+  loadEntityNames,
+};
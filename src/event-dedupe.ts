@@ -0,0 +1,75 @@
+import { addMinutes } from 'date-fns';
+import prisma from './store';
+import logger from './logger';
+import config from './config';
+
+/**
+ * Record that an event is being handled. Returns false if the same `event_id` was
+ * already recorded and has not expired, meaning this delivery is a retry to skip.
+ */
+export async function claimEvent(eventId: string, eventType?: string, teamId?: string | null) {
+  const now = new Date();
+  const expiresAt = addMinutes(now, config.EVENT_DEDUPE_TTL_MINUTES);
+
+  try {
+    await prisma.processedEvent.create({
+      data: {
+        event_id: eventId,
+        event_type: eventType,
+        team_id: teamId || null,
+        expires_at: expiresAt,
+      },
+    });
+    return true;
+  } catch (error: any) {
+    if (error.code !== 'P2002') {
+      // Handling an event twice beats dropping it
+      logger.error({ error, eventId }, 'Failed to record event, handling it anyway');
+      return true;
+    }
+  }
+
+  // Seen before; claim it again only if the record expired
+  const { count } = await prisma.processedEvent.updateMany({
+    where: {
+      event_id: eventId,
+      expires_at: { lt: now },
+    },
+    data: { expires_at: expiresAt },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Forget an event whose handling failed, so Slack's redelivery of it is handled
+ */
+export async function releaseEvent(eventId: string) {
+  try {
+    await prisma.processedEvent.delete({
+      where: { event_id: eventId },
+    });
+  } catch (error) {
+    logger.error({ error, eventId }, 'Failed to release event');
+  }
+}
+
+/**
+ * Delete expired event records
+ */
+export async function purgeExpiredEvents() {
+  const { count } = await prisma.processedEvent.deleteMany({
+    where: {
+      expires_at: { lt: new Date() },
+    },
+  });
+
+  logger.info({ count }, 'Deleted expired event records');
+  return count;
+}
+
+export default {
+  claimEvent,
+  releaseEvent,
+  purgeExpiredEvents,
+};
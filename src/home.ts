@@ -0,0 +1,426 @@
+import { subDays } from 'date-fns';
+import { WebClient } from '@slack/web-api';
+import prisma from './store';
+import logger from './logger';
+import { getWorkspace } from './workspaces';
+import { postSummaryToSlack } from './summarize';
+import { getOpenTasksForOwner } from './task-tracker';
+import { formatDateForSlack, slackTsToDate } from './utils/date';
+import { getDisabledTenants } from './tenants';
+import { loadEntityNames } from './entity-names';
+import { renderSlackText } from './utils/mrkdwn';
+
+// How far back the home tab looks for mentions
+const HOME_LOOKBACK_DAYS = 14;
+const MAX_HOME_ITEMS = 10;
+const MAX_HOME_CHANNELS = 40;
+
+// Users who opened the home tab this recently get it refreshed with new summaries
+const HOME_REFRESH_DAYS = 30;
+
+/**
+ * Get the most recent messages mentioning a user
+ */
+export async function getRecentMentions(userId: string) {
+  return prisma.message.findMany({
+    where: {
+      mentions: { has: userId },
+      deleted_at: null,
+      posted_at: { gte: subDays(new Date(), HOME_LOOKBACK_DAYS) },
+    },
+    include: {
+      channel: true,
+    },
+    orderBy: {
+      ts: 'desc',
+    },
+    take: MAX_HOME_ITEMS,
+  });
+}
+
+/**
+ * Prisma filter for the conversations of a workspace; shared channels belong to
+ * every workspace they are in
+ */
+function workspaceConversationWhere(teamId: string | null) {
+  return teamId ? { OR: [{ team_id: teamId }, { shared_team_ids: { has: teamId } }] } : {};
+}
+
+/**
+ * Check whether a user is a member of a conversation
+ */
+async function isConversationMember(client: WebClient, channel: string, userId: string) {
+  let cursor: string | undefined;
+
+  do {
+    const response = await client.conversations.members({ channel, cursor, limit: 1000 });
+    if (response.members?.includes(userId)) {
+      return true;
+    }
+    cursor = response.response_metadata?.next_cursor || undefined;
+  } while (cursor);
+
+  return false;
+}
+
+/**
+ * Check whether a user may follow a conversation's digest: public channels are open
+ * to everyone in the workspace, private channels only to their members
+ */
+async function canViewConversation(
+  client: WebClient,
+  conversation: { slack_id: string; type: string },
+  userId: string
+) {
+  if (conversation.type === 'channel') {
+    return true;
+  }
+
+  if (conversation.type !== 'group') {
+    return false;
+  }
+
+  try {
+    return await isConversationMember(client, conversation.slack_id, userId);
+  } catch (error) {
+    logger.error({ error, channel: conversation.slack_id, userId }, 'Failed to check conversation membership');
+    return false;
+  }
+}
+
+/**
+ * List the channels a user of a workspace can subscribe to
+ */
+async function getSubscribableConversations(client: WebClient, userId: string, teamId: string | null) {
+  const conversations = await prisma.conversation.findMany({
+    where: {
+      type: { in: ['channel', 'group'] },
+      ...workspaceConversationWhere(teamId),
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  const visible = [];
+  for (const conversation of conversations) {
+    if (visible.length >= MAX_HOME_CHANNELS) {
+      break;
+    }
+
+    if (await canViewConversation(client, conversation, userId)) {
+      visible.push(conversation);
+    }
+  }
+
+  return visible;
+}
+
+/**
+ * Build the App Home view for a user of a workspace, using the workspace's client
+ * to check which private channels the user is in
+ */
+export async function buildHomeView(userId: string, teamId: string | null, client: WebClient) {
+  const [tasks, mentions, conversations, subscriptions, settings] = await Promise.all([
+    getOpenTasksForOwner(userId, MAX_HOME_ITEMS),
+    getRecentMentions(userId),
+    getSubscribableConversations(client, userId, teamId),
+    prisma.digestSubscription.findMany({
+      where: { user_id: userId },
+    }),
+    prisma.userSettings.findUnique({
+      where: { user_id: userId },
+    }),
+  ]);
+
+  const blocks: any[] = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: 'Slack Summarizer',
+        emoji: true,
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*My Open Tasks*',
+      },
+    },
+  ];
+
+  // Add tasks
+  const taskLines = tasks.map(task => {
+    let taskText = `• <${task.source_permalink}|${task.title}> in #${task.channel.name}`;
+
+    if (task.due_date) {
+      taskText += ` (Due: ${new Date(task.due_date).toLocaleDateString()})`;
+    }
+
+    return taskText;
+  });
+
+  blocks.push({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: taskLines.length > 0 ? taskLines.join('\n') : '_No open tasks assigned to you._',
+    },
+  });
+
+  // Add mentions
+  blocks.push({ type: 'divider' });
+  blocks.push({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: '*Recent Mentions*',
+    },
+  });
+
+  const names = await loadEntityNames(mentions.map((message: { text: string }) => message.text));
+  const mentionLines = mentions.map(message => {
+    const plain = renderSlackText(message.text, names, 'plain');
+    const text = plain.length > 100 ? `${plain.substring(0, 100)}...` : plain;
+    return `• <${message.permalink}|${text.replace(/[<>|]/g, '')}> in #${message.channel.name}, ${formatDateForSlack(
+      slackTsToDate(message.ts)
+    )}`;
+  });
+
+  blocks.push({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: mentionLines.length > 0 ? mentionLines.join('\n').substring(0, 3000) : '_No recent mentions._',
+    },
+  });
+
+  // Add digest subscriptions
+  blocks.push({ type: 'divider' });
+  blocks.push({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: "*Digest Subscriptions*\nGet a channel's daily summary by direct message.",
+    },
+  });
+
+  const subscribed = new Set(subscriptions.map(s => s.channel_id));
+
+  conversations.forEach(conversation => {
+    const isSubscribed = subscribed.has(conversation.id);
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `#${conversation.name}${isSubscribed ? '  :white_check_mark:' : ''}`,
+      },
+      accessory: {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: isSubscribed ? 'Unsubscribe' : 'Subscribe',
+        },
+        ...(isSubscribed ? {} : { style: 'primary' }),
+        action_id: 'toggle_digest_subscription',
+        value: String(conversation.id),
+      },
+    });
+  });
+
+  // Add reminder quiet hours
+  const hourOption = (hour: number) => ({
+    text: {
+      type: 'plain_text',
+      text: `${String(hour).padStart(2, '0')}:00`,
+    },
+    value: String(hour),
+  });
+  const hourOptions = Array.from({ length: 24 }, (_, hour) => hourOption(hour));
+  const quietStart = settings?.quiet_hours_start ?? null;
+  const quietEnd = settings?.quiet_hours_end ?? null;
+
+  blocks.push({ type: 'divider' });
+  blocks.push({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: '*Reminder Quiet Hours*\nTask reminders are held back between these hours, in your time zone.',
+    },
+  });
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'static_select',
+        placeholder: { type: 'plain_text', text: 'From' },
+        action_id: 'quiet_hours_start',
+        options: hourOptions,
+        ...(quietStart !== null ? { initial_option: hourOption(quietStart) } : {}),
+      },
+      {
+        type: 'static_select',
+        placeholder: { type: 'plain_text', text: 'Until' },
+        action_id: 'quiet_hours_end',
+        options: hourOptions,
+        ...(quietEnd !== null ? { initial_option: hourOption(quietEnd) } : {}),
+      },
+      ...(quietStart !== null || quietEnd !== null
+        ? [
+            {
+              type: 'button',
+              text: { type: 'plain_text', text: 'Turn off' },
+              action_id: 'quiet_hours_clear',
+            },
+          ]
+        : []),
+    ],
+  });
+
+  return {
+    type: 'home' as const,
+    blocks,
+  };
+}
+
+/**
+ * Publish the App Home view for a user
+ */
+export async function publishHomeView(userId: string, teamId: string | null = null) {
+  try {
+    const workspace = await getWorkspace(teamId);
+    if (!workspace) {
+      return;
+    }
+
+    const view = await buildHomeView(userId, teamId, workspace.client);
+    await workspace.client.views.publish({
+      user_id: userId,
+      view,
+    });
+  } catch (error) {
+    logger.error({ error, userId }, 'Failed to publish home view');
+  }
+}
+
+/**
+ * Record that a user opened the home tab, so it is refreshed with new summaries
+ */
+export async function recordHomeOpened(userId: string, teamId: string | null = null) {
+  await prisma.userSettings.upsert({
+    where: { user_id: userId },
+    update: { team_id: teamId, home_opened_at: new Date() },
+    create: { user_id: userId, team_id: teamId, home_opened_at: new Date() },
+  });
+}
+
+/**
+ * Subscribe a user to a channel's digest, or unsubscribe if already subscribed.
+ * Users can only subscribe to channels of their workspace they can see.
+ */
+export async function toggleDigestSubscription(userId: string, conversationId: number, teamId: string | null = null) {
+  const existing = await prisma.digestSubscription.findUnique({
+    where: {
+      user_id_channel_id: {
+        user_id: userId,
+        channel_id: conversationId,
+      },
+    },
+  });
+
+  if (existing) {
+    await prisma.digestSubscription.delete({ where: { id: existing.id } });
+    logger.info({ userId, conversationId }, 'Unsubscribed from digest');
+    return false;
+  }
+
+  // The button's value comes from the client, so it is checked like the home view does
+  const conversation = await prisma.conversation.findFirst({
+    where: { id: conversationId, ...workspaceConversationWhere(teamId) },
+  });
+  const workspace = await getWorkspace(teamId);
+
+  if (!conversation || !workspace || !(await canViewConversation(workspace.client, conversation, userId))) {
+    throw new Error(`User ${userId} cannot subscribe to conversation ${conversationId}`);
+  }
+
+  await prisma.digestSubscription.create({
+    data: {
+      user_id: userId,
+      channel_id: conversationId,
+    },
+  });
+  logger.info({ userId, conversationId }, 'Subscribed to digest');
+  return true;
+}
+
+/**
+ * Send a summary by DM to every user subscribed to its channel. Subscribers who have
+ * left a private channel since subscribing are unsubscribed instead.
+ */
+export async function deliverSummaryToSubscribers(summaryId: number, conversationId: number) {
+  const subscriptions = await prisma.digestSubscription.findMany({
+    where: { channel_id: conversationId },
+  });
+  const conversation = await prisma.conversation.findUnique({ where: { id: conversationId } });
+  const workspace = conversation?.type === 'group' ? await getWorkspace(conversation.team_id) : null;
+
+  for (const subscription of subscriptions) {
+    try {
+      if (conversation?.type === 'group') {
+        if (!workspace) {
+          logger.warn({ summaryId, conversationId }, 'No workspace to check private channel members');
+          continue;
+        }
+
+        if (!(await isConversationMember(workspace.client, conversation.slack_id, subscription.user_id))) {
+          await prisma.digestSubscription.delete({ where: { id: subscription.id } });
+          logger.info(
+            { userId: subscription.user_id, conversationId },
+            'Unsubscribed user who left the private channel'
+          );
+          continue;
+        }
+      }
+
+      // Posting to a user ID delivers the message in the app's DM with that user
+      await postSummaryToSlack(summaryId, subscription.user_id);
+    } catch (error) {
+      logger.error(
+        { error, summaryId, userId: subscription.user_id },
+        'Failed to deliver summary to subscriber'
+      );
+    }
+  }
+
+  return subscriptions.length;
+}
+
+/**
+ * Republish the home view of every user who opened it recently
+ */
+export async function refreshHomeViews() {
+  const { teamIds } = await getDisabledTenants();
+  const users = await prisma.userSettings.findMany({
+    where: {
+      home_opened_at: { gte: subDays(new Date(), HOME_REFRESH_DAYS) },
+      OR: [{ team_id: null }, { team_id: { notIn: teamIds } }],
+    },
+  });
+
+  for (const user of users) {
+    await publishHomeView(user.user_id, user.team_id);
+  }
+
+  logger.info({ count: users.length }, 'Refreshed home views');
+}
+
+export default {
+  buildHomeView,
+  publishHomeView,
+  recordHomeOpened,
+  toggleDigestSubscription,
+  deliverSummaryToSubscribers,
+  refreshHomeViews,
+};
@@ -3,6 +3,19 @@ import prisma from './store';
 import logger from './logger';
 import config from './config';
 import { slackClient } from './slack';
+import { listWorkspaces, refreshExpiringTokens, getTeamDomain, isInstalledTeam } from './workspaces';
+import type { Workspace } from './workspaces';
+import { mapWithConcurrency } from './utils/pool';
+import { slackTsToDate } from './utils/date';
+import { buildPermalink } from './utils/permalink';
+import {
+  SlackMessageContent,
+  isStoredMessage,
+  getMessageAuthor,
+  getBotName,
+  extractAttachmentText,
+  extractFileMetadata,
+} from './utils/messages';
 
 // Types for Slack conversations
 interface ConversationListResponse {
@@ -14,6 +27,12 @@ interface ConversationListResponse {
     is_im: boolean;
     is_mpim: boolean;
     is_private: boolean;
+    is_shared?: boolean;
+    is_ext_shared?: boolean;
+    is_org_shared?: boolean;
+    shared_team_ids?: string[];
+    conversation_host_id?: string;
+    is_member?: boolean;
   }>;
   response_metadata?: {
     next_cursor?: string;
@@ -21,13 +40,15 @@ interface ConversationListResponse {
 }
 
 interface ConversationHistoryResponse {
-  messages: Array<{
+  messages: Array<SlackMessageContent & {
     type: string;
-    user: string;
+    user?: string;
     text: string;
     ts: string;
     thread_ts?: string;
     reply_count?: number;
+    reply_users_count?: number;
+    latest_reply?: string;
     replies?: Array<{ user: string; ts: string }>;
     reactions?: Array<{
       name: string;
@@ -61,6 +82,17 @@ interface RepliesResponse {
   };
 }
 
+// Slack client and team that ingested data is fetched with and stored under;
+// callers without a workspace use the SLACK_BOT_TOKEN client
+export type IngestContext = Pick<Workspace, 'client' | 'teamId'> & { enterpriseId?: string | null };
+
+// Text of a message before an edit, kept on the message's edit_history
+interface MessageEdit {
+  text: string;
+  edited_ts: string;
+  edited_by: string | null;
+}
+
 interface UserCacheItem {
   id: string;
   name: string;
@@ -85,6 +117,7 @@ const makeSlackRequest = async <T>(
 ): Promise<T> => {
   let retries = 0;
   let delay = initialDelay;
+  let refreshedToken = false;
 
   while (true) {
     try {
@@ -102,6 +135,11 @@ const makeSlackRequest = async <T>(
         
         retries++;
         delay *= 2; // Exponential backoff
+      } else if (error.data?.error === 'token_expired' && !refreshedToken) {
+        // A rotating token expired mid-run; refreshing swaps the token of the clients in use
+        logger.warn('Slack token expired, refreshing and retrying');
+        await refreshExpiringTokens();
+        refreshedToken = true;
       } else {
         logger.error({ error }, 'Error making Slack request');
         throw error;
@@ -111,7 +149,8 @@ const makeSlackRequest = async <T>(
 };
 
 /**
- * Lists all conversations (channels, private groups, DMs, MPDMs) that the bot can access
+ * Lists all conversations (channels, private groups, DMs, MPDMs) that the bot can access.
+ * Org-wide tokens must name the workspace to list with `teamId`.
  */
 export async function listAllConversations(
   types: Array<'public_channel' | 'private_channel' | 'mpim' | 'im'> = [
@@ -119,15 +158,18 @@ export async function listAllConversations(
     'private_channel',
     'mpim',
     'im',
-  ]
+  ],
+  client: WebClient = slackClient,
+  teamId?: string
 ) {
   const conversations: ConversationListResponse['channels'] = [];
   let cursor: string | undefined;
   
   do {
     const response = await makeSlackRequest<ConversationListResponse>(() => 
-      slackClient.conversations.list({
+      client.conversations.list({
         types: types.join(','),
+        team_id: teamId,
         cursor: cursor || undefined,
         limit: 200,
       }) as Promise<ConversationListResponse>
@@ -142,7 +184,10 @@ export async function listAllConversations(
 }
 
 /**
- * Ensures a conversation exists in the database, creates it if not
+ * Ensures a conversation exists in the database, creates it if not.
+ * Shared channels are stored under the workspace hosting them when the app is
+ * installed there; Slack Connect channels hosted by another organization stay
+ * with the workspace that ingested them.
  */
 export async function ensureConversation(conversationInfo: {
   id: string;
@@ -151,8 +196,25 @@ export async function ensureConversation(conversationInfo: {
   is_group: boolean;
   is_im: boolean;
   is_mpim: boolean;
-}) {
+  is_shared?: boolean;
+  is_ext_shared?: boolean;
+  is_org_shared?: boolean;
+  shared_team_ids?: string[];
+  conversation_host_id?: string;
+}, teamId: string | null = null, enterpriseId: string | null = null) {
   const { id, name } = conversationInfo;
+  const isShared = !!(
+    conversationInfo.is_shared ||
+    conversationInfo.is_ext_shared ||
+    conversationInfo.is_org_shared
+  );
+  const hostId = conversationInfo.conversation_host_id;
+  const ownerTeamId =
+    hostId && (hostId === teamId || (await isInstalledTeam(hostId))) ? hostId : teamId;
+  const sharing = {
+    is_shared: isShared,
+    ...(conversationInfo.shared_team_ids ? { shared_team_ids: conversationInfo.shared_team_ids } : {}),
+  };
   
   // Determine conversation type
   let type: 'channel' | 'group' | 'im' | 'mpim';
@@ -174,10 +236,16 @@ export async function ensureConversation(conversationInfo: {
     update: {
       name,
       type,
+      ...(ownerTeamId ? { team_id: ownerTeamId } : {}),
+      ...(enterpriseId ? { enterprise_id: enterpriseId } : {}),
+      ...sharing,
       updatedAt: new Date(),
     },
     create: {
       slack_id: id,
+      team_id: ownerTeamId,
+      enterprise_id: enterpriseId,
+      ...sharing,
       name,
       type,
       createdAt: new Date(),
@@ -189,25 +257,6 @@ export async function ensureConversation(conversationInfo: {
   return conversation;
 }
 
-/**
- * Gets a permalink for a message
- */
-export async function getPermalink(channel: string, message_ts: string) {
-  try {
-    const response = await makeSlackRequest(() => 
-      slackClient.chat.getPermalink({
-        channel,
-        message_ts,
-      })
-    );
-    
-    return response.permalink as string;
-  } catch (error) {
-    logger.error({ error, channel, message_ts }, 'Failed to get permalink');
-    return '';
-  }
-}
-
 /**
  * Extract mentions from message text
  */
@@ -226,7 +275,7 @@ export function extractMentions(text: string): string[] {
 /**
  * Get user information from Slack API
  */
-export async function getUserInfo(userId: string) {
+export async function getUserInfo(userId: string, client: WebClient = slackClient) {
   // Check cache first
   const now = Date.now();
   if (userCache[userId] && now - userCache[userId].timestamp < USER_CACHE_TTL) {
@@ -235,7 +284,7 @@ export async function getUserInfo(userId: string) {
   
   try {
     const response = await makeSlackRequest(() => 
-      slackClient.users.info({ user: userId })
+      client.users.info({ user: userId })
     );
     
     if (!response.user) {
@@ -248,6 +297,8 @@ export async function getUserInfo(userId: string) {
     await prisma.user.upsert({
       where: { slack_id: userId },
       update: {
+        team_id: user.team_id || null,
+        enterprise_id: user.enterprise_user?.enterprise_id || null,
         name: user.name,
         real_name: user.real_name || null,
         email: user.profile?.email || null,
@@ -257,6 +308,8 @@ export async function getUserInfo(userId: string) {
       },
       create: {
         slack_id: userId,
+        team_id: user.team_id || null,
+        enterprise_id: user.enterprise_user?.enterprise_id || null,
         name: user.name,
         real_name: user.real_name || null,
         email: user.profile?.email || null,
@@ -285,12 +338,14 @@ export async function getUserInfo(userId: string) {
 }
 
 /**
- * Fetch messages from a conversation, handling pagination
+ * Fetch top-level messages from a conversation, handling pagination.
+ * Thread replies are fetched separately by `ingestThreadReplies`.
  */
 export async function fetchMessages(
   conversationId: string,
   oldest?: string,
-  limit: number = 1000
+  limit: number = 1000,
+  client: WebClient = slackClient
 ) {
   const allMessages: ConversationHistoryResponse['messages'] = [];
   let cursor: string | undefined;
@@ -300,7 +355,7 @@ export async function fetchMessages(
     // Fetch the main conversation messages
     while (hasMore && allMessages.length < limit) {
       const response = await makeSlackRequest<ConversationHistoryResponse>(() => 
-        slackClient.conversations.history({
+        client.conversations.history({
           channel: conversationId,
           oldest,
           cursor: cursor || undefined,
@@ -313,18 +368,6 @@ export async function fetchMessages(
       cursor = response.response_metadata?.next_cursor;
     }
     
-    // Process messages that are part of threads
-    for (const message of allMessages.filter(m => m.thread_ts && !m.reply_count)) {
-      try {
-        await fetchThreadReplies(conversationId, message.ts);
-      } catch (error) {
-        logger.error(
-          { error, conversationId, threadTs: message.ts },
-          'Failed to fetch thread replies'
-        );
-      }
-    }
-    
     return allMessages;
   } catch (error) {
     logger.error({ error, conversationId }, 'Failed to fetch messages');
@@ -333,9 +376,14 @@ export async function fetchMessages(
 }
 
 /**
- * Fetch replies for a thread
+ * Fetch replies for a thread, optionally only those posted after `oldest`
  */
-export async function fetchThreadReplies(conversationId: string, threadTs: string) {
+export async function fetchThreadReplies(
+  conversationId: string,
+  threadTs: string,
+  oldest?: string,
+  client: WebClient = slackClient
+) {
   const replies: RepliesResponse['messages'] = [];
   let cursor: string | undefined;
   let hasMore = true;
@@ -343,20 +391,22 @@ export async function fetchThreadReplies(conversationId: string, threadTs: strin
   try {
     while (hasMore) {
       const response = await makeSlackRequest<RepliesResponse>(() => 
-        slackClient.conversations.replies({
+        client.conversations.replies({
           channel: conversationId,
           ts: threadTs,
+          oldest,
           cursor: cursor || undefined,
           limit: 100,
         }) as Promise<RepliesResponse>
       );
       
-      // Skip the first message as it's the thread parent, already stored
-      if (replies.length === 0 && response.messages.length > 0) {
-        replies.push(...response.messages.slice(1));
-      } else {
-        replies.push(...response.messages);
-      }
+      // Slack always includes the thread parent, which is stored from the history,
+      // and `oldest` is inclusive, so drop both
+      replies.push(
+        ...response.messages.filter(
+          m => m.ts !== threadTs && (!oldest || parseFloat(m.ts) > parseFloat(oldest))
+        )
+      );
       
       hasMore = response.has_more;
       cursor = response.response_metadata?.next_cursor;
@@ -373,65 +423,256 @@ export async function fetchThreadReplies(conversationId: string, threadTs: strin
 }
 
 /**
- * Process and store a message in the database
+ * Track a thread parent with its reply count and latest reply timestamp
  */
-export async function processMessage(
-  message: ConversationHistoryResponse['messages'][0],
+export async function upsertThread(
+  conversationDbId: number,
+  parent: {
+    ts: string;
+    reply_count?: number;
+    reply_users_count?: number;
+    latest_reply?: string;
+  }
+) {
+  const data = {
+    reply_count: parent.reply_count || 0,
+    reply_users_count: parent.reply_users_count || 0,
+    latest_reply_ts: parent.latest_reply || null,
+  };
+  
+  return prisma.thread.upsert({
+    where: {
+      channel_id_thread_ts: {
+        channel_id: conversationDbId,
+        thread_ts: parent.ts,
+      },
+    },
+    update: data,
+    create: {
+      channel_id: conversationDbId,
+      thread_ts: parent.ts,
+      ...data,
+    },
+  });
+}
+
+/**
+ * Fetch and store the replies of a thread posted since its cursor,
+ * then advance the cursor to the newest stored reply
+ */
+export async function ingestThreadReplies(
   channelId: string,
-  conversationDbId: number
+  conversationDbId: number,
+  parent: {
+    ts: string;
+    reply_count?: number;
+    reply_users_count?: number;
+    latest_reply?: string;
+  },
+  context: IngestContext = { client: slackClient, teamId: null }
 ) {
-  try {
-    // Skip messages without a user (system messages)
-    if (!message.user || message.type !== 'message') {
-      return null;
+  const thread = await upsertThread(conversationDbId, parent);
+  const cursor = thread.last_ts_processed || undefined;
+  
+  // Nothing new since the last run
+  if (
+    cursor &&
+    thread.latest_reply_ts &&
+    parseFloat(thread.latest_reply_ts) <= parseFloat(cursor)
+  ) {
+    return 0;
+  }
+  
+  const replies = await fetchThreadReplies(channelId, parent.ts, cursor, context.client);
+  
+  let lastTs = cursor;
+  let storedCount = 0;
+  
+  for (const reply of replies) {
+    const stored = await processMessage(
+      { ...reply, thread_ts: reply.thread_ts || parent.ts },
+      channelId,
+      conversationDbId,
+      context
+    );
+    if (stored) {
+      storedCount++;
     }
     
-    // Get permalink for the message
-    const permalink = await getPermalink(channelId, message.ts);
-    
-    // Extract mentions
-    const mentions = extractMentions(message.text);
-    
-    // Get user info for mentions (in parallel)
-    await Promise.all(mentions.map(userId => getUserInfo(userId)));
-    
-    // Format reactions if any
-    const reactions = message.reactions
-      ? message.reactions.reduce((acc, r) => {
-          acc[r.name] = r.users;
-          return acc;
-        }, {} as Record<string, string[]>)
-      : undefined;
-    
-    // Store message in database
-    const storedMessage = await prisma.message.upsert({
-      where: {
-        channel_id_ts: {
-          channel_id: conversationDbId,
-          ts: message.ts,
-        },
+    if (!lastTs || parseFloat(reply.ts) > parseFloat(lastTs)) {
+      lastTs = reply.ts;
+    }
+  }
+  
+  if (lastTs && lastTs !== cursor) {
+    await prisma.thread.update({
+      where: { id: thread.id },
+      data: {
+        last_ts_processed: lastTs,
+        // Replies can arrive between the history and replies calls
+        latest_reply_ts:
+          !thread.latest_reply_ts || parseFloat(lastTs) > parseFloat(thread.latest_reply_ts)
+            ? lastTs
+            : thread.latest_reply_ts,
       },
-      update: {
-        text: message.text,
-        thread_ts: message.thread_ts,
-        permalink,
-        reactions,
-        mentions,
+    });
+  }
+  
+  logger.debug(
+    { channelId, threadTs: parent.ts, storedCount },
+    'Ingested thread replies'
+  );
+  return storedCount;
+}
+
+/**
+ * Re-check stored threads with recent activity whose parents are older than the
+ * history window, since replies to them never show up in conversations.history
+ */
+export async function refreshActiveThreads(
+  channelId: string,
+  conversationDbId: number,
+  skipThreadTs: Set<string> = new Set(),
+  context: IngestContext = { client: slackClient, teamId: null }
+) {
+  const cutoffTs = (Date.now() / 1000 - config.THREAD_REFRESH_DAYS * 86400).toFixed(6);
+  
+  const threads = await prisma.thread.findMany({
+    where: {
+      channel_id: conversationDbId,
+      latest_reply_ts: {
+        gte: cutoffTs,
       },
-      create: {
+    },
+  });
+  
+  let storedCount = 0;
+  
+  for (const thread of threads) {
+    if (skipThreadTs.has(thread.thread_ts)) {
+      continue;
+    }
+    
+    try {
+      // Look up the current parent to learn about replies we have not seen yet
+      const response = await makeSlackRequest<RepliesResponse>(() => 
+        context.client.conversations.replies({
+          channel: channelId,
+          ts: thread.thread_ts,
+          limit: 1,
+        }) as Promise<RepliesResponse>
+      );
+      
+      const parent = response.messages?.[0] as ConversationHistoryResponse['messages'][0] | undefined;
+      if (!parent) {
+        continue;
+      }
+      
+      storedCount += await ingestThreadReplies(channelId, conversationDbId, parent, context);
+    } catch (error) {
+      logger.error(
+        { error, channelId, threadTs: thread.thread_ts },
+        'Failed to refresh thread replies'
+      );
+    }
+  }
+  
+  return storedCount;
+}
+
+/**
+ * Store a message in the database. Returns null for channel events that are not
+ * stored, and throws if storing fails.
+ */
+export async function storeMessage(
+  message: ConversationHistoryResponse['messages'][0],
+  channelId: string,
+  conversationDbId: number,
+  context: IngestContext = { client: slackClient, teamId: null }
+) {
+  // Skip channel events such as joins and topic changes
+  if (!isStoredMessage(message)) {
+    return null;
+  }
+  
+  // Build the permalink from the workspace domain rather than asking Slack per message
+  const permalink = buildPermalink(await getTeamDomain(context), channelId, message.ts, message.thread_ts);
+  
+  // Bot posts and unfurls keep most of their content in attachments and blocks
+  const text = message.text || '';
+  const attachmentText = extractAttachmentText(message);
+  const files = extractFileMetadata(message);
+  
+  // Extract mentions
+  const mentions = extractMentions(attachmentText ? `${text}\n${attachmentText}` : text);
+  
+  // Get user info for mentions (in parallel)
+  await Promise.all(mentions.map(userId => getUserInfo(userId, context.client)));
+  
+  // Format reactions if any
+  const reactions = message.reactions
+    ? message.reactions.reduce((acc, r) => {
+        acc[r.name] = r.users;
+        return acc;
+      }, {} as Record<string, string[]>)
+    : undefined;
+  
+  const content = {
+    text,
+    subtype: message.subtype || null,
+    bot_id: message.bot_id || null,
+    bot_name: getBotName(message),
+    attachment_text: attachmentText,
+    files: files as any,
+  };
+  
+  // Store message in database
+  const storedMessage = await prisma.message.upsert({
+    where: {
+      channel_id_ts: {
         channel_id: conversationDbId,
         ts: message.ts,
-        user_id: message.user,
-        text: message.text,
-        thread_ts: message.thread_ts,
-        permalink,
-        reactions,
-        mentions,
-        createdAt: new Date(),
       },
-    });
-    
-    return storedMessage;
+    },
+    update: {
+      ...(context.teamId ? { team_id: context.teamId } : {}),
+      ...content,
+      thread_ts: message.thread_ts,
+      permalink,
+      reactions,
+      mentions,
+      posted_at: slackTsToDate(message.ts),
+    },
+    create: {
+      channel_id: conversationDbId,
+      team_id: context.teamId,
+      ts: message.ts,
+      posted_at: slackTsToDate(message.ts),
+      user_id: getMessageAuthor(message),
+      ...content,
+      thread_ts: message.thread_ts,
+      permalink,
+      reactions,
+      mentions,
+      createdAt: new Date(),
+    },
+  });
+  
+  return storedMessage;
+}
+
+/**
+ * Process and store a message in the database, logging failures so batch
+ * ingestion carries on with the next message
+ */
+export async function processMessage(
+  message: ConversationHistoryResponse['messages'][0],
+  channelId: string,
+  conversationDbId: number,
+  context: IngestContext = { client: slackClient, teamId: null }
+) {
+  try {
+    return await storeMessage(message, channelId, conversationDbId, context);
   } catch (error) {
     logger.error(
       { error, messageTs: message.ts, channelId },
@@ -442,9 +683,134 @@ export async function processMessage(
 }
 
 /**
- * Queue a message from an event for ingestion
+ * Find a stored message by its Slack channel ID and timestamp
+ */
+export async function findStoredMessage(channelId: string, ts: string) {
+  const conversation = await prisma.conversation.findUnique({
+    where: { slack_id: channelId },
+  });
+  
+  if (!conversation) {
+    return null;
+  }
+  
+  return prisma.message.findUnique({
+    where: {
+      channel_id_ts: {
+        channel_id: conversation.id,
+        ts,
+      },
+    },
+  });
+}
+
+/**
+ * Apply a `message_changed` event to the stored message, keeping the previous text
  */
-export async function queueMessageForIngestion(event: any, client: WebClient) {
+export async function applyMessageEdit(event: any, context: IngestContext) {
+  try {
+    const edited = event.message;
+    if (!edited?.ts) {
+      return null;
+    }
+    
+    // Thread parents deleted while they still have replies become tombstones
+    if (edited.subtype === 'tombstone') {
+      return await applyMessageDeletion({ channel: event.channel, deleted_ts: edited.ts });
+    }
+    
+    const stored = await findStoredMessage(event.channel, edited.ts);
+    
+    if (!stored) {
+      // Edited before we ever stored it, so ingest the current version
+      await ingestMessageEvent({ ...edited, type: 'message', channel: event.channel }, context);
+      return null;
+    }
+    
+    if (stored.deleted_at) {
+      return stored;
+    }
+    
+    // Unfurls and reply count updates also arrive as message_changed; unfurls only
+    // change the attachments
+    if (stored.text === edited.text) {
+      const attachmentText = extractAttachmentText(edited);
+      const files = extractFileMetadata(edited);
+      
+      if (attachmentText === stored.attachment_text && JSON.stringify(files) === JSON.stringify(stored.files)) {
+        return stored;
+      }
+      
+      return await prisma.message.update({
+        where: { id: stored.id },
+        data: { attachment_text: attachmentText, files: files as any },
+      });
+    }
+    
+    const editTs = edited.edited?.ts || event.event_ts || event.ts;
+    const history = ((stored.edit_history as unknown as MessageEdit[] | null) || []).concat({
+      text: stored.text,
+      edited_ts: editTs,
+      edited_by: edited.edited?.user || edited.user || null,
+    });
+    
+    const mentions = extractMentions(edited.text || '');
+    await Promise.all(mentions.map(userId => getUserInfo(userId, context.client)));
+    
+    const updated = await prisma.message.update({
+      where: { id: stored.id },
+      data: {
+        text: edited.text || '',
+        attachment_text: extractAttachmentText(edited),
+        files: extractFileMetadata(edited) as any,
+        mentions,
+        edited_ts: editTs,
+        edit_history: history as any,
+      },
+    });
+    
+    logger.debug({ channel: event.channel, ts: edited.ts }, 'Applied message edit');
+    return updated;
+  } catch (error) {
+    logger.error({ error, event }, 'Failed to apply message edit');
+    throw error;
+  }
+}
+
+/**
+ * Tombstone a stored message after a `message_deleted` event.
+ * The row and its edit history stay so thread structure is preserved.
+ */
+export async function applyMessageDeletion(event: { channel: string; deleted_ts: string }) {
+  try {
+    const stored = await findStoredMessage(event.channel, event.deleted_ts);
+    
+    if (!stored || stored.deleted_at) {
+      return stored;
+    }
+    
+    const deleted = await prisma.message.update({
+      where: { id: stored.id },
+      data: {
+        text: '',
+        mentions: [],
+        reactions: {},
+        deleted_at: new Date(),
+      },
+    });
+    
+    logger.debug({ channel: event.channel, ts: event.deleted_ts }, 'Tombstoned deleted message');
+    return deleted;
+  } catch (error) {
+    logger.error({ error, event }, 'Failed to apply message deletion');
+    throw error;
+  }
+}
+
+/**
+ * Ingest the message of a message event, with its conversation and thread parent
+ */
+export async function ingestMessageEvent(event: any, context: IngestContext) {
   try {
     // Skip non-message events
     if (event.type !== 'message') {
@@ -453,7 +819,7 @@ export async function queueMessageForIngestion(event: any, client: WebClient) {
     
     // Get conversation from database or create it
     const conversationInfo = await makeSlackRequest(() => 
-      client.conversations.info({ channel: event.channel })
+      context.client.conversations.info({ channel: event.channel })
     );
     
     if (!conversationInfo.channel) {
@@ -461,15 +827,19 @@ export async function queueMessageForIngestion(event: any, client: WebClient) {
       return;
     }
     
-    const conversation = await ensureConversation(conversationInfo.channel as any);
+    const conversation = await ensureConversation(
+      conversationInfo.channel as any,
+      context.teamId,
+      context.enterpriseId || null
+    );
     
-    // Process the message
-    await processMessage(event as any, event.channel, conversation.id);
+    // Store the message; failures propagate so the queue retries the job
+    await storeMessage(event as any, event.channel, conversation.id, context);
     
     // If this is a thread message, update the parent
     if (event.thread_ts && event.thread_ts !== event.ts) {
       const threadInfo = await makeSlackRequest(() => 
-        client.conversations.replies({
+        context.client.conversations.replies({
           channel: event.channel,
           ts: event.thread_ts,
           limit: 1,
@@ -477,7 +847,12 @@ export async function queueMessageForIngestion(event: any, client: WebClient) {
       );
       
       if (threadInfo.messages?.length) {
-        await processMessage(threadInfo.messages[0] as any, event.channel, conversation.id);
+        const parent = threadInfo.messages[0] as any;
+        await storeMessage(parent, event.channel, conversation.id, context);
+        
+        // Only the counters move here; the reply cursor is advanced by batch
+        // ingestion so replies missed while offline are still picked up
+        await upsertThread(conversation.id, parent);
       }
     }
     
@@ -494,98 +869,376 @@ export async function queueMessageForIngestion(event: any, client: WebClient) {
       });
     }
   } catch (error) {
-    logger.error({ error, event }, 'Failed to queue message for ingestion');
+    logger.error({ error, event }, 'Failed to ingest message event');
+    throw error;
   }
 }
 
 /**
- * Main ingestion function to be called by scheduled jobs
+ * Apply a queued message event: a new message, an edit or a deletion
  */
-export async function ingestAllConversations(since?: string) {
+export async function processMessageEvent(event: any, context: IngestContext) {
+  if (event.subtype === 'message_changed') {
+    await applyMessageEdit(event, context);
+    return;
+  }
+  
+  if (event.subtype === 'message_deleted') {
+    await applyMessageDeletion(event);
+    return;
+  }
+  
+  await ingestMessageEvent(event, context);
+}
+
+// Messages stored between progress checkpoints of a conversation
+const CHECKPOINT_EVERY = 100;
+
+// Interrupted runs older than this are abandoned rather than resumed
+const RUN_RESUME_WINDOW_MS = 24 * 3600 * 1000;
+
+// Outcome of ingesting one conversation in a run
+export interface ChannelReport {
+  channelId: string;
+  channelName: string;
+  teamId: string | null;
+  status: 'done' | 'failed' | 'skipped';
+  messages: number;
+  replies: number;
+  // Set when the conversation was finished by an earlier, interrupted attempt of the run
+  resumed?: boolean;
+  error?: string;
+}
+
+export interface IngestionReport {
+  runId: number;
+  since: string | null;
+  durationMs: number;
+  channels: ChannelReport[];
+  failedWorkspaces: Array<{ teamId: string | null; error: string }>;
+  totals: { channels: number; done: number; failed: number; skipped: number; messages: number; replies: number };
+}
+
+interface IngestionCheckpoint {
+  channel_id: string;
+  status: string;
+  last_ts: string | null;
+  message_count: number;
+  reply_count: number;
+}
+
+interface IngestionRunState {
+  id: number;
+  checkpoints: Map<string, IngestionCheckpoint>;
+}
+
+/**
+ * Record the progress of a conversation within a run
+ */
+async function saveCheckpoint(
+  runId: number,
+  channelId: string,
+  data: Partial<Omit<IngestionCheckpoint, 'channel_id'>> & { error?: string | null }
+) {
+  await prisma.ingestionCheckpoint.upsert({
+    where: { run_id_channel_id: { run_id: runId, channel_id: channelId } },
+    create: { run_id: runId, channel_id: channelId, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Resume the last run for the same window if it was interrupted, or start a new one
+ */
+async function startIngestionRun(since?: string): Promise<IngestionRunState> {
+  await prisma.ingestionRun.updateMany({
+    where: { status: 'running', started_at: { lt: new Date(Date.now() - RUN_RESUME_WINDOW_MS) } },
+    data: { status: 'abandoned', finished_at: new Date() },
+  });
+
+  const interrupted = await prisma.ingestionRun.findFirst({
+    where: { status: 'running', since: since || null },
+    orderBy: { started_at: 'desc' },
+    include: { checkpoints: true },
+  });
+
+  if (interrupted) {
+    logger.info(
+      { runId: interrupted.id, checkpoints: interrupted.checkpoints.length },
+      'Resuming interrupted ingestion run'
+    );
+    return {
+      id: interrupted.id,
+      checkpoints: new Map(interrupted.checkpoints.map((c: IngestionCheckpoint) => [c.channel_id, c])),
+    };
+  }
+
+  const run = await prisma.ingestionRun.create({ data: { since: since || null } });
+  return { id: run.id, checkpoints: new Map() };
+}
+
+/**
+ * Later of two Slack timestamps
+ */
+function latestTs(a?: string | null, b?: string | null) {
+  if (!a || !b) {
+    return a || b || undefined;
+  }
+  return parseFloat(a) >= parseFloat(b) ? a : b;
+}
+
+/**
+ * Ingest one conversation. Messages are stored oldest first in batches, each batch
+ * with its thread replies, and progress is checkpointed after every batch so an
+ * interrupted run resumes after the last stored message.
+ */
+async function ingestConversation(
+  conversation: ConversationListResponse['channels'][number],
+  workspace: Workspace,
+  since: string | undefined,
+  run: IngestionRunState
+): Promise<ChannelReport> {
+  const checkpoint = run.checkpoints.get(conversation.id);
+  const report: ChannelReport = {
+    channelId: conversation.id,
+    channelName: conversation.name,
+    teamId: workspace.teamId,
+    status: 'done',
+    messages: checkpoint?.message_count || 0,
+    replies: checkpoint?.reply_count || 0,
+  };
+
   try {
-    logger.info({ since }, 'Starting ingestion for all conversations');
+    // Ensure the conversation exists in the database
+    const dbConversation = await ensureConversation(conversation, workspace.teamId, workspace.enterpriseId);
+
+    // Start after the last checkpoint, the requested window, or the last processed message
+    const oldest = latestTs(since || dbConversation.last_ts_processed, checkpoint?.last_ts);
+    let lastProcessed: string | undefined = dbConversation.last_ts_processed || undefined;
+
+    logger.info(
+      { channelId: conversation.id, channelName: conversation.name, oldest, resumed: !!checkpoint },
+      'Fetching messages'
+    );
+
+    const messages = (await fetchMessages(conversation.id, oldest, undefined, workspace.client))
+      .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+    const threadParents = new Set<string>();
+
+    for (let start = 0; start < messages.length; start += CHECKPOINT_EVERY) {
+      const batch = messages.slice(start, start + CHECKPOINT_EVERY);
+
+      for (const message of batch) {
+        await processMessage(message, conversation.id, dbConversation.id, workspace);
+      }
+
+      // Store replies for threads started in this batch
+      for (const parent of batch.filter(m => m.reply_count && m.thread_ts === m.ts)) {
+        threadParents.add(parent.ts);
+        try {
+          report.replies += await ingestThreadReplies(conversation.id, dbConversation.id, parent, workspace);
+        } catch (error) {
+          logger.error(
+            { error, conversationId: conversation.id, threadTs: parent.ts },
+            'Failed to fetch thread replies'
+          );
+        }
+      }
+
+      report.messages += batch.length;
+      const lastTs = batch[batch.length - 1].ts;
+
+      // A backfill with --since must not move the last processed timestamp back
+      if (latestTs(lastProcessed, lastTs) !== lastProcessed) {
+        lastProcessed = lastTs;
+        await prisma.conversation.update({
+          where: { id: dbConversation.id },
+          data: { last_ts_processed: lastTs },
+        });
+      }
+
+      await saveCheckpoint(run.id, conversation.id, {
+        last_ts: lastTs,
+        message_count: report.messages,
+        reply_count: report.replies,
+      });
+    }
+
+    // Pick up new replies to older threads
+    report.replies += await refreshActiveThreads(conversation.id, dbConversation.id, threadParents, workspace);
+
+    await saveCheckpoint(run.id, conversation.id, {
+      status: 'done',
+      message_count: report.messages,
+      reply_count: report.replies,
+      error: null,
+    });
+
+    logger.info(
+      { channelId: conversation.id, processedCount: report.messages, replyCount: report.replies },
+      'Finished processing conversation'
+    );
+  } catch (error: any) {
+    report.status = 'failed';
+    report.error = String(error?.data?.error || error?.message || error);
+    logger.error({ error, conversationId: conversation.id }, 'Error processing conversation');
+
+    await saveCheckpoint(run.id, conversation.id, { status: 'failed', error: report.error }).catch(
+      (checkpointError: unknown) =>
+        logger.error({ error: checkpointError, conversationId: conversation.id }, 'Failed to save checkpoint')
+    );
+  }
+
+  return report;
+}
+
+/**
+ * Ingest every conversation of one workspace with that workspace's token, up to
+ * INGEST_CONCURRENCY conversations at a time. Channels in `ingestedChannels` (shared
+ * channels already ingested through another workspace of the run) are skipped, and
+ * the ones this workspace ingests are added to it; a shared channel the bot has not
+ * joined here is left for the other workspaces. Conversations finished by an interrupted attempt of the
+ * run are not ingested again. Without a `run`, the workspace gets a run of its own.
+ */
+export async function ingestWorkspace(
+  workspace: Workspace,
+  since?: string,
+  ingestedChannels: Set<string> = new Set(),
+  run?: IngestionRunState
+): Promise<ChannelReport[]> {
+  const { client, teamId } = workspace;
+  
+  try {
+    logger.info({ teamId, since }, 'Starting ingestion for workspace');
+    
+    const runState = run || (await startIngestionRun(since));
+    
+    // The listed conversations carry everything ensureConversation needs
+    const conversations = await listAllConversations(
+      undefined,
+      client,
+      workspace.isEnterpriseInstall && teamId ? teamId : undefined
+    );
     
-    // List all conversations
-    const conversations = await listAllConversations();
+    const pending: typeof conversations = [];
+    const reports: ChannelReport[] = [];
     
-    // Process each conversation
     for (const conversation of conversations) {
-      try {
-        // Check if we have access to this conversation
-        const conversationInfo = await makeSlackRequest(() => 
-          slackClient.conversations.info({ channel: conversation.id })
-        );
-        
-        if (!conversationInfo.channel) {
-          logger.warn(
-            { conversationId: conversation.id },
-            'Cannot access conversation, skipping'
-          );
-          continue;
-        }
-        
-        // Ensure the conversation exists in the database
-        const dbConversation = await ensureConversation(conversation);
-        
-        // Determine the oldest timestamp to fetch messages from
-        let oldest = since;
-        if (!oldest && dbConversation.last_ts_processed) {
-          oldest = dbConversation.last_ts_processed;
-        }
-        
-        // Fetch messages
-        logger.info(
-          { 
-            channelId: conversation.id, 
-            channelName: conversation.name, 
-            oldest 
-          },
-          'Fetching messages'
-        );
-        
-        const messages = await fetchMessages(conversation.id, oldest);
-        
-        // Process and store messages
-        logger.info(
-          { channelId: conversation.id, messageCount: messages.length },
-          'Processing messages'
-        );
-        
-        let lastTs: string | undefined;
-        
-        for (const message of messages) {
-          await processMessage(message, conversation.id, dbConversation.id);
-          
-          // Keep track of the latest message timestamp
-          if (!lastTs || parseFloat(message.ts) > parseFloat(lastTs)) {
-            lastTs = message.ts;
-          }
-        }
-        
-        // Update the last processed timestamp
-        if (lastTs) {
-          await prisma.conversation.update({
-            where: { id: dbConversation.id },
-            data: { last_ts_processed: lastTs },
-          });
-        }
-        
-        logger.info(
-          { channelId: conversation.id, processedCount: messages.length },
-          'Finished processing conversation'
-        );
-      } catch (error) {
-        logger.error(
-          { error, conversationId: conversation.id },
-          'Error processing conversation'
-        );
+      if (ingestedChannels.has(conversation.id)) {
+        continue;
       }
       
-      // Avoid rate limiting by adding a small delay between conversations
-      await sleep(1000);
+      const base = { channelId: conversation.id, channelName: conversation.name, teamId };
+      const checkpoint = runState.checkpoints.get(conversation.id);
+      
+      if (conversation.is_member === false) {
+        // The bot cannot read channels it has not joined
+        reports.push({ ...base, status: 'skipped', messages: 0, replies: 0 });
+      } else if (checkpoint?.status === 'done') {
+        ingestedChannels.add(conversation.id);
+        reports.push({
+          ...base,
+          status: 'done',
+          messages: checkpoint.message_count,
+          replies: checkpoint.reply_count,
+          resumed: true,
+        });
+      } else {
+        ingestedChannels.add(conversation.id);
+        pending.push(conversation);
+      }
+    }
+    
+    reports.push(
+      ...(await mapWithConcurrency(pending, config.INGEST_CONCURRENCY, conversation =>
+        ingestConversation(conversation, workspace, since, runState)
+      ))
+    );
+    
+    logger.info(
+      {
+        teamId,
+        channels: reports.length,
+        failed: reports.filter(r => r.status === 'failed').length,
+      },
+      'Completed ingestion for workspace'
+    );
+    
+    if (!run) {
+      await prisma.ingestionRun.update({
+        where: { id: runState.id },
+        data: { status: 'completed', finished_at: new Date() },
+      });
+    }
+    return reports;
+  } catch (error) {
+    logger.error({ error, teamId }, 'Failed to ingest workspace');
+    throw error;
+  }
+}
+
+/**
+ * Main ingestion function to be called by scheduled jobs: ingests every installed
+ * workspace and returns a report of the run, which is also stored with the run
+ */
+export async function ingestAllConversations(since?: string): Promise<IngestionReport> {
+  const startedAt = Date.now();
+  
+  try {
+    logger.info({ since }, 'Starting ingestion for all conversations');
+    
+    const run = await startIngestionRun(since);
+    const workspaces = await listWorkspaces();
+    
+    // Channels shared between workspaces are only ingested once
+    const ingestedChannels = new Set<string>();
+    const channels: ChannelReport[] = [];
+    const failedWorkspaces: IngestionReport['failedWorkspaces'] = [];
+    
+    for (const workspace of workspaces) {
+      try {
+        channels.push(...(await ingestWorkspace(workspace, since, ingestedChannels, run)));
+      } catch (error: any) {
+        // One workspace failing, e.g. with a revoked token, does not stop the others
+        logger.error({ error, teamId: workspace.teamId }, 'Error ingesting workspace');
+        failedWorkspaces.push({ teamId: workspace.teamId, error: String(error?.data?.error || error?.message || error) });
+      }
     }
     
-    logger.info('Completed ingestion for all conversations');
+    const count = (status: ChannelReport['status']) => channels.filter(c => c.status === status).length;
+    const report: IngestionReport = {
+      runId: run.id,
+      since: since || null,
+      durationMs: Date.now() - startedAt,
+      channels,
+      failedWorkspaces,
+      totals: {
+        channels: channels.length,
+        done: count('done'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        messages: channels.reduce((sum, c) => sum + c.messages, 0),
+        replies: channels.reduce((sum, c) => sum + c.replies, 0),
+      },
+    };
+    
+    await prisma.ingestionRun.update({
+      where: { id: run.id },
+      data: { status: 'completed', finished_at: new Date(), report: report as any },
+    });
+    
+    logger.info(
+      {
+        runId: run.id,
+        workspaceCount: workspaces.length,
+        ...report.totals,
+        failedChannels: channels.filter(c => c.status === 'failed').map(c => ({ channelId: c.channelId, error: c.error })),
+        failedWorkspaces,
+        durationMs: report.durationMs,
+      },
+      'Completed ingestion for all conversations'
+    );
+    return report;
   } catch (error) {
     logger.error({ error }, 'Failed to ingest conversations');
     throw error;
@@ -608,8 +1261,8 @@ if (require.main === module) {
   }
   
   ingestAllConversations(since)
-    .then(() => {
-      logger.info('Ingestion complete');
+    .then((report) => {
+      logger.info({ runId: report.runId, totals: report.totals }, 'Ingestion complete');
       process.exit(0);
     })
     .catch((error) => {
@@ -622,9 +1275,17 @@ export default {
   listAllConversations,
   ensureConversation,
   fetchMessages,
-  getPermalink,
+  fetchThreadReplies,
+  ingestThreadReplies,
+  refreshActiveThreads,
   extractMentions,
+  storeMessage,
   processMessage,
-  queueMessageForIngestion,
+  findStoredMessage,
+  applyMessageEdit,
+  applyMessageDeletion,
+  ingestMessageEvent,
+  processMessageEvent,
+  ingestWorkspace,
   ingestAllConversations,
 };
\ No newline at end of file
@@ -0,0 +1,236 @@
+import { OpenAI } from 'openai';
+import logger from './logger';
+import config from './config';
+
+export type LLMProviderName = 'openai' | 'openai-compatible' | 'anthropic' | 'ollama';
+
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface CompletionOptions {
+  // Ask for a JSON object response; providers without a JSON mode rely on the prompt
+  json?: boolean;
+  temperature?: number;
+  maxTokens?: number;
+}
+
+export interface LLMSettings {
+  provider: LLMProviderName;
+  model: string;
+  baseUrl?: string;
+  apiKey?: string;
+  temperature: number;
+  maxTokens: number;
+  jsonMode: boolean;
+  timeoutMs: number;
+}
+
+/**
+ * A chat completion backend used for summarization
+ */
+export interface LLMProvider {
+  name: LLMProviderName;
+  model: string;
+  supportsJsonMode: boolean;
+  complete(messages: ChatMessage[], options?: CompletionOptions): Promise<string>;
+}
+
+// Defaults applied when LLM_MODEL, LLM_BASE_URL or LLM_JSON_MODE are not set
+const PROVIDER_DEFAULTS: Record<
+  LLMProviderName,
+  { model?: string; baseUrl?: string; jsonMode: boolean }
+> = {
+  openai: { model: 'gpt-4o-mini', jsonMode: true },
+  'openai-compatible': { jsonMode: false },
+  anthropic: { model: 'claude-3-5-haiku-latest', baseUrl: 'https://api.anthropic.com', jsonMode: false },
+  // Ollama and llama.cpp both serve the OpenAI chat API under /v1
+  ollama: { model: 'llama3.1', baseUrl: 'http://localhost:11434/v1', jsonMode: true },
+};
+
+/**
+ * Resolve provider settings from the environment configuration.
+ * Returns null when no provider is configured, so callers fall back to heuristics.
+ */
+export function resolveLLMSettings(): LLMSettings | null {
+  const provider: LLMProviderName | undefined =
+    config.LLM_PROVIDER || (config.OPENAI_API_KEY ? 'openai' : undefined);
+
+  if (!provider) {
+    return null;
+  }
+
+  const defaults = PROVIDER_DEFAULTS[provider];
+  const model = config.LLM_MODEL || defaults.model;
+
+  if (!model) {
+    throw new Error(`LLM_MODEL is required for the ${provider} provider`);
+  }
+
+  return {
+    provider,
+    model,
+    baseUrl: config.LLM_BASE_URL || defaults.baseUrl,
+    apiKey: config.LLM_API_KEY || (provider === 'openai' ? config.OPENAI_API_KEY : undefined),
+    temperature: config.LLM_TEMPERATURE,
+    maxTokens: config.LLM_MAX_TOKENS,
+    jsonMode: config.LLM_JSON_MODE ?? defaults.jsonMode,
+    timeoutMs: config.LLM_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Provider for OpenAI and any server speaking the OpenAI chat completions API
+ */
+function createOpenAIProvider(settings: LLMSettings): LLMProvider {
+  if (settings.provider !== 'ollama' && !settings.apiKey) {
+    throw new Error(`An API key is required for the ${settings.provider} provider`);
+  }
+
+  if (settings.provider === 'openai-compatible' && !settings.baseUrl) {
+    throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+  }
+
+  const client = new OpenAI({
+    // Local servers ignore the key, but the SDK requires one
+    apiKey: settings.apiKey || 'not-needed',
+    baseURL: settings.baseUrl,
+    timeout: settings.timeoutMs,
+  });
+
+  return {
+    name: settings.provider,
+    model: settings.model,
+    supportsJsonMode: settings.jsonMode,
+    async complete(messages, options = {}) {
+      const response = await client.chat.completions.create({
+        model: settings.model,
+        messages,
+        temperature: options.temperature ?? settings.temperature,
+        max_tokens: options.maxTokens ?? settings.maxTokens,
+        ...(options.json && settings.jsonMode
+          ? { response_format: { type: 'json_object' as const } }
+          : {}),
+      });
+
+      return response.choices[0]?.message.content || '';
+    },
+  };
+}
+
+/**
+ * Provider for the Anthropic Messages API and compatible servers
+ */
+function createAnthropicProvider(settings: LLMSettings): LLMProvider {
+  if (!settings.apiKey) {
+    throw new Error('An API key is required for the anthropic provider');
+  }
+
+  const endpoint = `${(settings.baseUrl as string).replace(/\/+$/, '')}/v1/messages`;
+
+  return {
+    name: settings.provider,
+    model: settings.model,
+    supportsJsonMode: settings.jsonMode,
+    async complete(messages, options = {}) {
+      // The Messages API takes the system prompt separately
+      const system = messages
+        .filter(m => m.role === 'system')
+        .map(m => m.content)
+        .join('\n\n');
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': settings.apiKey as string,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model: settings.model,
+          system: system || undefined,
+          messages: messages.filter(m => m.role !== 'system'),
+          temperature: options.temperature ?? settings.temperature,
+          max_tokens: options.maxTokens ?? settings.maxTokens,
+        }),
+        signal: AbortSignal.timeout(settings.timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Anthropic request failed with status ${response.status}: ${await response.text()}`);
+      }
+
+      const body = (await response.json()) as { content?: Array<{ type: string; text?: string }> };
+      return (body.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+  };
+}
+
+/**
+ * Create a provider from explicit settings
+ */
+export function createLLMProvider(settings: LLMSettings): LLMProvider {
+  switch (settings.provider) {
+    case 'openai':
+    case 'openai-compatible':
+    case 'ollama':
+      return createOpenAIProvider(settings);
+    case 'anthropic':
+      return createAnthropicProvider(settings);
+    default:
+      throw new Error(`Unknown LLM provider: ${settings.provider}`);
+  }
+}
+
+let cachedProvider: LLMProvider | null | undefined;
+
+/**
+ * Get the configured provider, or null when summaries should use heuristics
+ */
+export function getLLMProvider(): LLMProvider | null {
+  if (cachedProvider === undefined) {
+    const settings = resolveLLMSettings();
+    cachedProvider = settings ? createLLMProvider(settings) : null;
+
+    if (settings) {
+      logger.info(
+        { provider: settings.provider, model: settings.model, baseUrl: settings.baseUrl },
+        'Configured LLM provider'
+      );
+    }
+  }
+
+  return cachedProvider;
+}
+
+/**
+ * Parse a JSON object from a completion, tolerating code fences and
+ * surrounding prose from models without a JSON mode
+ */
+export function parseJsonResponse<T = any>(content: string): T {
+  const trimmed = content.trim();
+
+  try {
+    return JSON.parse(trimmed || '{}');
+  } catch {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      throw new Error('LLM response did not contain a JSON object');
+    }
+
+    return JSON.parse(trimmed.slice(start, end + 1));
+  }
+}
+
+export default {
+  getLLMProvider,
+  createLLMProvider,
+  resolveLLMSettings,
+  parseJsonResponse,
+};
@@ -0,0 +1,68 @@
+import prisma from './store';
+import logger from './logger';
+import { getWorkspace, getTeamDomain } from './workspaces';
+import { buildPermalink } from './utils/permalink';
+
+// Messages repaired per query
+const REPAIR_BATCH_SIZE = 1000;
+
+/**
+ * Rebuild the permalinks of messages stored without one, which happened when
+ * chat.getPermalink failed during ingestion. Each workspace's domain is looked up once.
+ */
+export async function repairPermalinks() {
+  const domains = new Map<string, string | null>();
+  let cursor: bigint | undefined;
+  let repaired = 0;
+
+  for (;;) {
+    const messages = await prisma.message.findMany({
+      where: { permalink: '', ...(cursor !== undefined ? { id: { gt: cursor } } : {}) },
+      include: { channel: { select: { slack_id: true, team_id: true } } },
+      orderBy: { id: 'asc' },
+      take: REPAIR_BATCH_SIZE,
+    });
+
+    if (messages.length === 0) {
+      break;
+    }
+
+    for (const message of messages) {
+      const teamId = message.team_id || message.channel.team_id;
+      const key = teamId || '';
+
+      if (!domains.has(key)) {
+        const workspace = await getWorkspace(teamId);
+        domains.set(key, workspace ? await getTeamDomain(workspace) : null);
+      }
+
+      await prisma.message.update({
+        where: { id: message.id },
+        data: {
+          permalink: buildPermalink(domains.get(key), message.channel.slack_id, message.ts, message.thread_ts),
+        },
+      });
+      repaired += 1;
+    }
+
+    cursor = messages[messages.length - 1].id;
+    logger.info({ repaired }, 'Repairing message permalinks');
+  }
+
+  logger.info({ repaired }, 'Repaired message permalinks');
+  return repaired;
+}
+
+// If this file is run directly, repair all empty permalinks
+if (require.main === module) {
+  repairPermalinks()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error({ error }, 'Failed to repair message permalinks');
+      process.exit(1);
+    });
+}
+
+export default {
+  repairPermalinks,
+};
@@ -0,0 +1,295 @@
+import { subDays } from 'date-fns';
+import prisma from './store';
+import logger from './logger';
+import config from './config';
+import { getWorkspace } from './workspaces';
+import { processMessageEvent } from './ingest';
+import type { IngestContext } from './ingest';
+import { getRetryDelay } from './utils/backoff';
+
+interface IngestionJob {
+  id: number;
+  event_id: string | null;
+  type: string;
+  team_id: string | null;
+  enterprise_id: string | null;
+  payload: any;
+  attempts: number;
+}
+
+// Handlers for each job type
+const jobHandlers: Record<string, (event: any, context: IngestContext) => Promise<unknown>> = {
+  message: processMessageEvent,
+};
+
+// Jobs still running after this long are assumed lost to a restart and claimed again
+const JOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Longest wait between retries of a failing job
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+
+// Worker loops of this process, and idle workers waiting for new jobs
+let workers: Promise<void>[] = [];
+let stopping = false;
+const idleWorkers = new Set<() => void>();
+
+/**
+ * Wait for the poll interval, or until a job is queued by this process
+ */
+function waitForJobs() {
+  return new Promise<void>(resolve => {
+    const wake = () => {
+      clearTimeout(timer);
+      idleWorkers.delete(wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, config.QUEUE_POLL_INTERVAL_MS);
+    idleWorkers.add(wake);
+  });
+}
+
+/**
+ * Queue a Slack event for the workers. Events redelivered with an `event_id` that is
+ * already queued are ignored. Returns the job ID, or null for duplicates.
+ */
+export async function enqueueEvent(job: {
+  type: string;
+  eventId?: string | null;
+  teamId: string | null;
+  enterpriseId?: string | null;
+  event: any;
+}) {
+  try {
+    const created = await prisma.ingestionJob.create({
+      data: {
+        event_id: job.eventId || null,
+        type: job.type,
+        team_id: job.teamId,
+        enterprise_id: job.enterpriseId || null,
+        payload: job.event,
+      },
+    });
+
+    idleWorkers.forEach(wake => wake());
+    return created.id as number;
+  } catch (error: any) {
+    // Unique constraint on event_id
+    if (error.code === 'P2002') {
+      logger.debug({ eventId: job.eventId }, 'Event already queued');
+      return null;
+    }
+
+    logger.error({ error, eventId: job.eventId, type: job.type }, 'Failed to queue event');
+    throw error;
+  }
+}
+
+/**
+ * Claim up to `limit` jobs that are due, or whose worker was lost. SKIP LOCKED lets
+ * several workers and processes claim jobs concurrently without taking the same one.
+ * Only the oldest unfinished job of each channel can be claimed, so edits and
+ * deletions never run before the message they apply to.
+ */
+async function claimJobs(limit: number): Promise<IngestionJob[]> {
+  const staleBefore = new Date(Date.now() - JOB_LOCK_TIMEOUT_MS);
+
+  return prisma.$queryRaw<IngestionJob[]>`
+    UPDATE "IngestionJob"
+    SET status = 'running', locked_at = NOW(), attempts = attempts + 1, "updatedAt" = NOW()
+    WHERE id IN (
+      SELECT id FROM "IngestionJob" job
+      WHERE ((status = 'pending' AND run_at <= NOW())
+          OR (status = 'running' AND locked_at < ${staleBefore}))
+        AND NOT EXISTS (
+          SELECT 1 FROM "IngestionJob" earlier
+          WHERE earlier.id < job.id
+            AND earlier.status IN ('pending', 'running')
+            AND earlier.team_id IS NOT DISTINCT FROM job.team_id
+            AND earlier.payload->>'channel' IS NOT DISTINCT FROM job.payload->>'channel'
+        )
+      ORDER BY run_at
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, event_id, type, team_id, enterprise_id, payload, attempts
+  `;
+}
+
+/**
+ * Run a claimed job, then mark it done, schedule a retry with backoff, or move it
+ * to the dead state once it has used up its attempts
+ */
+async function runJob(job: IngestionJob) {
+  try {
+    const handler = jobHandlers[job.type];
+    if (!handler) {
+      throw new Error(`Unknown job type ${job.type}`);
+    }
+
+    const workspace = await getWorkspace(job.team_id);
+    if (!workspace) {
+      // Nothing to fetch with; requeue with --retry-dead once the team installs the app
+      logger.warn({ jobId: job.id, teamId: job.team_id }, 'No installation for ingestion job team');
+      await prisma.ingestionJob.update({
+        where: { id: job.id },
+        data: { status: 'dead', locked_at: null, last_error: `No installation for team ${job.team_id}` },
+      });
+      return;
+    }
+
+    const { client, teamId } = workspace;
+    await handler(job.payload, { client, teamId, enterpriseId: job.enterprise_id });
+
+    await prisma.ingestionJob.update({
+      where: { id: job.id },
+      data: { status: 'done', locked_at: null, last_error: null },
+    });
+  } catch (error: any) {
+    const dead = job.attempts >= config.QUEUE_MAX_ATTEMPTS;
+    const delay = getRetryDelay(
+      job.attempts,
+      config.QUEUE_RETRY_DELAY_MS,
+      MAX_RETRY_DELAY_MS,
+      error?.retryAfter
+    );
+
+    if (dead) {
+      logger.error(
+        { error, jobId: job.id, eventId: job.event_id, attempts: job.attempts },
+        'Ingestion job failed permanently'
+      );
+    } else {
+      logger.warn(
+        { error, jobId: job.id, attempts: job.attempts, retryInMs: delay },
+        'Ingestion job failed, retrying'
+      );
+    }
+
+    await prisma.ingestionJob.update({
+      where: { id: job.id },
+      data: {
+        status: dead ? 'dead' : 'pending',
+        run_at: dead ? undefined : new Date(Date.now() + delay),
+        locked_at: null,
+        last_error: String(error?.stack || error),
+      },
+    });
+  }
+}
+
+/**
+ * Worker loop: claim and run one job at a time until the workers are stopped.
+ * Errors are logged and the loop carries on, so a database outage never ends it.
+ */
+async function runWorker(worker: number) {
+  while (!stopping) {
+    let jobs: IngestionJob[] = [];
+
+    try {
+      jobs = await claimJobs(1);
+    } catch (error) {
+      logger.error({ error, worker }, 'Failed to claim ingestion jobs');
+    }
+
+    if (jobs.length === 0) {
+      await waitForJobs();
+      continue;
+    }
+
+    try {
+      await runJob(jobs[0]);
+    } catch (error) {
+      // Recording the job's result failed; it is claimed again once its lock times out
+      logger.error({ error, worker, jobId: jobs[0].id }, 'Failed to run ingestion job');
+      await waitForJobs();
+    }
+  }
+}
+
+/**
+ * Start the pool of queue workers
+ */
+export function startQueueWorkers(concurrency: number = config.QUEUE_CONCURRENCY) {
+  if (workers.length > 0) {
+    return;
+  }
+
+  stopping = false;
+  workers = Array.from({ length: concurrency }, (_, worker) => runWorker(worker));
+  logger.info({ concurrency }, 'Started ingestion queue workers');
+}
+
+/**
+ * Stop the queue workers after their current jobs finish
+ */
+export async function stopQueueWorkers() {
+  stopping = true;
+  idleWorkers.forEach(wake => wake());
+  await Promise.all(workers);
+  workers = [];
+  logger.info('Stopped ingestion queue workers');
+}
+
+/**
+ * Count jobs by status
+ */
+export async function getQueueStats() {
+  const groups = await prisma.ingestionJob.groupBy({
+    by: ['status'],
+    _count: { _all: true },
+  });
+
+  return Object.fromEntries(groups.map(group => [group.status, group._count._all]));
+}
+
+/**
+ * Queue dead jobs again with fresh attempts, e.g. after fixing the cause
+ */
+export async function retryDeadJobs() {
+  const { count } = await prisma.ingestionJob.updateMany({
+    where: { status: 'dead' },
+    data: { status: 'pending', attempts: 0, run_at: new Date() },
+  });
+
+  logger.info({ count }, 'Requeued dead ingestion jobs');
+  return count;
+}
+
+/**
+ * Delete jobs completed more than `days` ago; dead jobs are kept for inspection
+ */
+export async function purgeCompletedJobs(days: number = config.QUEUE_RETENTION_DAYS) {
+  const { count } = await prisma.ingestionJob.deleteMany({
+    where: {
+      status: 'done',
+      updatedAt: { lt: subDays(new Date(), days) },
+    },
+  });
+
+  logger.info({ count, days }, 'Deleted completed ingestion jobs');
+  return count;
+}
+
+// Show queue stats as a standalone script, or requeue dead jobs with --retry-dead
+if (require.main === module) {
+  const run = process.argv.includes('--retry-dead') ? retryDeadJobs() : getQueueStats();
+
+  run
+    .then((result) => {
+      logger.info({ result }, 'Queue command complete');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error({ error }, 'Queue command failed');
+      process.exit(1);
+    });
+}
+
+export default {
+  enqueueEvent,
+  startQueueWorkers,
+  stopQueueWorkers,
+  getQueueStats,
+  retryDeadJobs,
+  purgeCompletedJobs,
+};
@@ -0,0 +1,99 @@
+import { WebClientOptions } from '@slack/web-api';
+import logger from './logger';
+import config from './config';
+import { RateLimiter, RateLimitTier, RateLimitedWebClient as LimitedWebClient } from './utils/rate-limits';
+
+interface TierMetrics {
+  calls: number;
+  delayed: number;
+  totalWaitMs: number;
+  maxWaitMs: number;
+  rateLimited: number;
+}
+
+// Queueing delay per tier since the process started
+const metrics = new Map<RateLimitTier, TierMetrics>();
+
+/**
+ * Get the metrics of a tier, creating them on first use
+ */
+function getTierMetrics(tier: RateLimitTier) {
+  let tierMetrics = metrics.get(tier);
+
+  if (!tierMetrics) {
+    tierMetrics = { calls: 0, delayed: 0, totalWaitMs: 0, maxWaitMs: 0, rateLimited: 0 };
+    metrics.set(tier, tierMetrics);
+  }
+
+  return tierMetrics;
+}
+
+// Shared by every client the app creates
+const limiter = new RateLimiter({
+  nonMarketplaceApp: config.SLACK_NON_MARKETPLACE_APP,
+  onAcquire: ({ method, tier, waitMs }) => {
+    const tierMetrics = getTierMetrics(tier);
+    tierMetrics.calls += 1;
+
+    if (waitMs > 0) {
+      tierMetrics.delayed += 1;
+      tierMetrics.totalWaitMs += waitMs;
+      tierMetrics.maxWaitMs = Math.max(tierMetrics.maxWaitMs, waitMs);
+      logger.debug({ method, tier, waitMs }, 'Waiting for Slack rate limit');
+    }
+  },
+  onRateLimited: ({ method, tier, retryAfterSeconds }) => {
+    getTierMetrics(tier).rateLimited += 1;
+    logger.warn({ method, tier, retryAfter: retryAfterSeconds }, 'Rate limited by Slack API');
+  },
+});
+
+/**
+ * Wait until a call to `method` fits within its tier's rate limit for the workspace
+ */
+export function acquire(workspaceKey: string, method: string, channel?: unknown) {
+  return limiter.acquire(workspaceKey, method, channel);
+}
+
+/**
+ * Hold back calls to `method` after Slack rate limited one anyway
+ */
+export function recordRateLimited(workspaceKey: string, method: string, retryAfterSeconds: number) {
+  limiter.recordRateLimited(workspaceKey, method, retryAfterSeconds);
+}
+
+/**
+ * Queueing delay per tier: calls made, calls that had to wait, and the wait times
+ */
+export function getRateLimiterMetrics() {
+  return Object.fromEntries(
+    [...metrics].map(([tier, m]) => [
+      tier,
+      { ...m, avgWaitMs: m.delayed > 0 ? Math.round(m.totalWaitMs / m.delayed) : 0 },
+    ])
+  );
+}
+
+/**
+ * Web client that waits for the app's rate limiter before each call. Every client the
+ * app creates should be one of these, so all callers share the same buckets.
+ */
+export class RateLimitedWebClient extends LimitedWebClient {
+  constructor(token?: string, options?: WebClientOptions, limiterKey?: string) {
+    super(limiter, token, options, limiterKey);
+  }
+}
+
+/**
+ * Create a rate-limited web client for a token
+ */
+export function createSlackClient(token?: string, options?: WebClientOptions) {
+  return new RateLimitedWebClient(token, options);
+}
+
+export default {
+  acquire,
+  recordRateLimited,
+  getRateLimiterMetrics,
+  createSlackClient,
+};
@@ -0,0 +1,200 @@
+import { addHours } from 'date-fns';
+import prisma from './store';
+import logger from './logger';
+import config from './config';
+import { getWorkspace } from './workspaces';
+import { formatDateForSlack, isWithinQuietHours, QuietHours } from './utils/date';
+import { getDisabledTenants, activeConversationWhere } from './tenants';
+
+export type ReminderStage = 'before' | 'due' | 'snoozed';
+
+/**
+ * Decide which reminder, if any, a task is due for
+ */
+export function getReminderStage(
+  task: {
+    due_date: Date;
+    reminded_before_at: Date | null;
+    reminded_due_at: Date | null;
+    snoozed_until: Date | null;
+  },
+  now: Date
+): ReminderStage | null {
+  if (task.snoozed_until) {
+    return task.snoozed_until <= now ? 'snoozed' : null;
+  }
+
+  if (task.due_date > now) {
+    return task.reminded_before_at ? null : 'before';
+  }
+
+  return task.reminded_due_at ? null : 'due';
+}
+
+/**
+ * Build the reminder DM for a task, with Done and Snooze buttons
+ */
+export function buildReminderMessage(
+  task: { id: number; title: string; source_permalink: string; due_date: Date; channel: { name: string } },
+  stage: ReminderStage
+) {
+  const due = formatDateForSlack(task.due_date);
+  const intro = stage === 'before' ? `is due ${due}` : `was due ${due}`;
+  const text = `:alarm_clock: Reminder: <${task.source_permalink}|${task.title}> in #${task.channel.name} ${intro}`;
+
+  return {
+    text: `Reminder: ${task.title}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text,
+        },
+      },
+      {
+        type: 'actions',
+        block_id: `reminder:${task.id}`,
+        elements: [
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: 'Done',
+            },
+            style: 'primary',
+            action_id: 'reminder_done',
+            value: String(task.id),
+          },
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: `Snooze ${config.REMINDER_SNOOZE_HOURS}h`,
+            },
+            action_id: 'reminder_snooze',
+            value: String(task.id),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Send the reminders that are due: before the due date, on it, and after a snooze.
+ * Owners in their quiet hours are skipped and picked up by a later run.
+ */
+export async function runReminderTask(now: Date = new Date()) {
+  try {
+    const candidates = await prisma.task.findMany({
+      where: {
+        status: 'open',
+        owner_user_id: { not: null },
+        due_date: { lte: addHours(now, config.REMINDER_LEAD_HOURS) },
+        channel: activeConversationWhere(await getDisabledTenants()),
+      },
+      include: {
+        channel: true,
+      },
+    });
+    // The filters guarantee an owner and due date, but Prisma does not narrow the types
+    const tasks = candidates.filter(
+      (task): task is typeof task & { owner_user_id: string; due_date: Date } =>
+        task.owner_user_id !== null && task.due_date !== null
+    );
+
+    const owners = [...new Set<string>(tasks.map(task => task.owner_user_id))];
+    const settings = await prisma.userSettings.findMany({
+      where: { user_id: { in: owners } },
+    });
+    const settingsByUser = new Map<string, QuietHours>(settings.map(s => [s.user_id, s]));
+
+    let sent = 0;
+
+    for (const task of tasks) {
+      const stage = getReminderStage(task, now);
+
+      if (!stage || isWithinQuietHours(now, settingsByUser.get(task.owner_user_id) || null)) {
+        continue;
+      }
+
+      try {
+        const { blocks, text } = buildReminderMessage(task, stage);
+
+        const workspace = await getWorkspace(task.channel.team_id);
+        if (!workspace) {
+          continue;
+        }
+
+        // Posting to a user ID delivers the message in the app's DM with that user
+        await workspace.client.chat.postMessage({
+          channel: task.owner_user_id,
+          blocks,
+          text,
+        });
+
+        await prisma.task.update({
+          where: { id: task.id },
+          data: {
+            ...(task.due_date > now ? { reminded_before_at: now } : { reminded_due_at: now }),
+            snoozed_until: null,
+          },
+        });
+
+        sent += 1;
+      } catch (error) {
+        logger.error({ error, taskId: task.id, stage }, 'Failed to send task reminder');
+      }
+    }
+
+    logger.info({ candidates: tasks.length, sent }, 'Sent task reminders');
+    return sent;
+  } catch (error) {
+    logger.error({ error }, 'Failed to run reminder task');
+    throw error;
+  }
+}
+
+/**
+ * Set one end of a user's quiet hours, or clear them with null
+ */
+export async function setQuietHours(
+  userId: string,
+  hours: { start?: number | null; end?: number | null },
+  timezone?: string
+) {
+  const data = {
+    ...(hours.start !== undefined ? { quiet_hours_start: hours.start } : {}),
+    ...(hours.end !== undefined ? { quiet_hours_end: hours.end } : {}),
+    ...(timezone ? { timezone } : {}),
+  };
+
+  await prisma.userSettings.upsert({
+    where: { user_id: userId },
+    update: data,
+    create: { user_id: userId, ...data },
+  });
+
+  logger.info({ userId, ...data }, 'Updated quiet hours');
+}
+
+// If this file is run directly, send due reminders once
+if (require.main === module) {
+  runReminderTask()
+    .then(() => {
+      logger.info('Reminder task executed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error({ error }, 'Failed to execute reminder task');
+      process.exit(1);
+    });
+}
+
+export default {
+  getReminderStage,
+  buildReminderMessage,
+  runReminderTask,
+  setQuietHours,
+};
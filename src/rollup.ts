@@ -0,0 +1,518 @@
+import { subMonths } from 'date-fns';
+import prisma from './store';
+import logger from './logger';
+import config from './config';
+import { getWorkspace } from './workspaces';
+import { getLLMProvider, parseJsonResponse } from './llm';
+import type { SummaryData } from './summarize';
+import { mergeSummaries, estimateTokens } from './utils/chunking';
+import { getTasksById } from './task-tracker';
+import { extractRecurringThemes, RecurringTheme } from './utils/themes';
+import { getCurrentWeekWindow, getMonthWindow } from './utils/date';
+import { getDisabledTenants, activeConversationWhere } from './tenants';
+
+export type RollupPeriod = 'weekly' | 'monthly';
+
+export interface RollupData {
+  summary: string;
+  themes: RecurringTheme[];
+  open_tasks: SummaryData['tasks'];
+  highlights: SummaryData['highlights'];
+  stats: {
+    summary_count: number;
+    channel_count: number;
+    task_count: number;
+    carried_task_count: number;
+  };
+}
+
+const MAX_ROLLUP_HIGHLIGHTS = 5;
+const MAX_OPEN_TASKS = 25;
+
+/**
+ * Get the window a rollup covers: the current week (Sunday to Saturday) for
+ * weekly rollups, the previous calendar month for monthly ones
+ */
+export function getRollupWindow(period: RollupPeriod, now: Date = new Date()) {
+  return period === 'weekly' ? getCurrentWeekWindow() : getMonthWindow(subMonths(now, 1));
+}
+
+/**
+ * Pick highlights spread across the window: the top highlight of each
+ * summary, newest first, then the remaining ones
+ */
+function pickHighlights(summaries: Array<{ highlights: SummaryData['highlights'] }>) {
+  const ordered = [...summaries].reverse();
+  const picked: SummaryData['highlights'] = [];
+  const seen = new Set<string>();
+
+  const add = (highlight: SummaryData['highlights'][0]) => {
+    if (picked.length < MAX_ROLLUP_HIGHLIGHTS && !seen.has(highlight.ts)) {
+      seen.add(highlight.ts);
+      picked.push(highlight);
+    }
+  };
+
+  ordered.forEach(s => s.highlights[0] && add(s.highlights[0]));
+  ordered.forEach(s => s.highlights.slice(1).forEach(add));
+
+  return picked;
+}
+
+/**
+ * Write the rollup recap with the configured LLM provider, or null when there is
+ * no provider or the recaps do not fit in the model context
+ */
+async function generateAIRollupRecap(
+  period: RollupPeriod,
+  scope: string,
+  recaps: string[]
+): Promise<{ summary: string; themes: RecurringTheme[] } | null> {
+  const llm = getLLMProvider();
+  if (!llm) {
+    return null;
+  }
+
+  const input = recaps.join('\n\n');
+  if (estimateTokens(input) > config.LLM_CONTEXT_TOKENS - config.LLM_MAX_TOKENS - 500) {
+    logger.info({ period, scope }, 'Daily recaps exceed model context, using heuristic rollup');
+    return null;
+  }
+
+  try {
+    const content = await llm.complete(
+      [
+        {
+          role: 'system',
+          content: `You are an AI assistant that summarizes Slack conversations. You'll receive the daily recaps of ${scope}, in chronological order, and need to write a ${period} rollup.
+
+Your task is to generate:
+1. A ${period} recap (5-10 bullet points) covering decisions, outcomes and open questions
+2. The recurring themes: topics that came up on more than one day
+
+Format your response as a JSON object with these keys:
+{
+  "summary": "5-10 bullet points recapping the ${period === 'weekly' ? 'week' : 'month'}",
+  "themes": [{"theme": "short topic name", "occurrences": number of days it came up}]
+}
+
+Return valid JSON only, no explanations.`,
+        },
+        {
+          role: 'user',
+          content: input,
+        },
+      ],
+      { json: true }
+    );
+
+    const recap = parseJsonResponse(content);
+    return {
+      summary: Array.isArray(recap.summary) ? recap.summary.join('\n') : recap.summary || '',
+      themes: Array.isArray(recap.themes) ? recap.themes : [],
+    };
+  } catch (error) {
+    logger.error({ error, period, scope }, 'Error generating AI rollup, using heuristic rollup');
+    return null;
+  }
+}
+
+/**
+ * Generate a weekly or monthly rollup from the stored summaries in a window,
+ * for one conversation or, when conversationId is null, across all conversations
+ * of a workspace
+ */
+export async function generateRollup(
+  period: RollupPeriod,
+  startTime: Date,
+  endTime: Date,
+  conversationId: number | null = null,
+  teamId: string | null = null
+) {
+  try {
+    const summaries = await prisma.summary.findMany({
+      where: {
+        ...(conversationId !== null ? { channel_id: conversationId } : {}),
+        ...(conversationId === null ? { team_id: teamId } : {}),
+        // Daily summaries start before the day they cover, so they are picked by end
+        period_end: { gt: startTime, lte: endTime },
+        // On-demand summaries repeat what the daily ones cover
+        on_demand: false,
+      },
+      include: {
+        channel: true,
+      },
+      orderBy: {
+        period_start: 'asc',
+      },
+    });
+
+    if (summaries.length === 0) {
+      logger.info(
+        { period, conversationId, startTime, endTime },
+        'No summaries in rollup window, skipping rollup'
+      );
+      return null;
+    }
+
+    const channelNames = [...new Set<string>(summaries.map(s => s.channel.name))];
+    const scope = conversationId !== null
+      ? `the "${channelNames[0]}" channel`
+      : `${channelNames.length} channels`;
+
+    const parts: SummaryData[] = summaries.map(s => ({
+      summary: s.summary,
+      highlights: (s.highlights || []) as unknown as SummaryData['highlights'],
+      tasks: (s.tasks || []) as unknown as SummaryData['tasks'],
+      mentions: (s.mentions || {}) as unknown as SummaryData['mentions'],
+      threads: [],
+    }));
+
+    // Carry forward the open tasks of the previous rollup for the same scope
+    const previous = await prisma.rollup.findFirst({
+      where: {
+        period,
+        channel_id: conversationId,
+        ...(conversationId === null ? { team_id: teamId } : {}),
+        period_end: { lte: startTime },
+      },
+      orderBy: {
+        period_end: 'desc',
+      },
+    });
+    const carriedTasks = (previous?.open_tasks || []) as unknown as SummaryData['tasks'];
+
+    const merged = mergeSummaries([
+      { summary: '', highlights: [], tasks: carriedTasks, mentions: {}, threads: [] },
+      ...parts,
+    ]);
+
+    // Drop tracked tasks completed or dismissed since they were extracted
+    const trackedTasks = await getTasksById(
+      merged.tasks.filter(task => task.task_id).map(task => task.task_id as number)
+    );
+    const openTasks = merged.tasks
+      .filter(task => !task.task_id || trackedTasks.get(task.task_id)?.status === 'open')
+      .sort((a, b) => parseFloat(b.source_ts) - parseFloat(a.source_ts))
+      .slice(0, MAX_OPEN_TASKS);
+
+    const recaps = summaries.map(s => {
+      const day = s.period_end.toISOString().slice(0, 10);
+      const label = conversationId !== null ? day : `${day} #${s.channel.name}`;
+      return `[${label}]\n${s.summary}`;
+    });
+
+    const aiRecap = await generateAIRollupRecap(period, scope, recaps);
+    const themes = aiRecap?.themes.length
+      ? aiRecap.themes
+      : extractRecurringThemes(summaries.map(s => s.summary));
+
+    const stats: RollupData['stats'] = {
+      summary_count: summaries.length,
+      channel_count: channelNames.length,
+      task_count: openTasks.length,
+      carried_task_count: carriedTasks.length,
+    };
+
+    let summaryText = aiRecap?.summary;
+    if (!summaryText) {
+      summaryText = `${period === 'weekly' ? 'Weekly' : 'Monthly'} rollup of ${scope}\n`;
+      summaryText += `Period: ${startTime.toLocaleDateString()} to ${endTime.toLocaleDateString()}\n\n`;
+      summaryText += `Daily summaries: ${stats.summary_count}\n`;
+      summaryText += `Open tasks: ${stats.task_count}\n`;
+
+      if (conversationId === null) {
+        const perChannel = new Map<string, number>();
+        summaries.forEach(s => perChannel.set(s.channel.name, (perChannel.get(s.channel.name) || 0) + 1));
+        summaryText += '\nMost active channels:\n';
+        [...perChannel.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .forEach(([name, count]) => {
+            summaryText += `#${name}: ${count} daily summaries\n`;
+          });
+      }
+    }
+
+    const rollupData: RollupData = {
+      summary: summaryText,
+      themes,
+      open_tasks: openTasks,
+      highlights: pickHighlights(parts),
+      stats,
+    };
+
+    const rollup = await prisma.rollup.create({
+      data: {
+        period,
+        channel_id: conversationId,
+        team_id: teamId || summaries[0].team_id,
+        period_start: startTime,
+        period_end: endTime,
+        summary: rollupData.summary,
+        themes: rollupData.themes as any,
+        open_tasks: rollupData.open_tasks as any,
+        highlights: rollupData.highlights as any,
+        stats: rollupData.stats as any,
+      },
+    });
+
+    logger.info(
+      { rollupId: rollup.id, period, conversationId, summaryCount: summaries.length },
+      'Rollup generated and stored'
+    );
+
+    return rollup;
+  } catch (error) {
+    logger.error(
+      { error, period, conversationId, startTime, endTime },
+      'Failed to generate rollup'
+    );
+    throw error;
+  }
+}
+
+/**
+ * Post a rollup to the digest channel of its workspace using Block Kit
+ */
+export async function postRollupToSlack(rollupId: number) {
+  try {
+    const rollup = await prisma.rollup.findUnique({
+      where: { id: rollupId },
+      include: {
+        channel: true,
+      },
+    });
+
+    if (!rollup) {
+      throw new Error(`Rollup ${rollupId} not found`);
+    }
+
+    const workspace = await getWorkspace(rollup.team_id);
+    if (!workspace) {
+      logger.warn({ rollupId, teamId: rollup.team_id }, 'Workspace not installed, skipping posting rollup');
+      return null;
+    }
+
+    if (!workspace.digestChannel) {
+      logger.warn({ teamId: workspace.teamId }, 'No digest channel configured, skipping posting rollup');
+      return null;
+    }
+
+    const title = `${rollup.period === 'weekly' ? 'Weekly' : 'Monthly'} Rollup: ${
+      rollup.channel ? `#${rollup.channel.name}` : 'All channels'
+    }`;
+    const stats = rollup.stats as unknown as RollupData['stats'];
+
+    // Build the Block Kit message
+    const blocks: any[] = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: title,
+          emoji: true,
+        },
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `*Period:* ${rollup.period_start.toLocaleDateString()} - ${rollup.period_end.toLocaleDateString()}  |  ${
+              stats.summary_count
+            } daily summaries${stats.channel_count > 1 ? ` across ${stats.channel_count} channels` : ''}`,
+          },
+        ],
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: rollup.summary.substring(0, 3000), // Slack has a text limit
+        },
+      },
+    ];
+
+    // Add recurring themes
+    const themes = rollup.themes as unknown as RecurringTheme[];
+    if (themes && themes.length > 0) {
+      blocks.push({
+        type: 'divider',
+      });
+
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*Recurring Themes*\n${themes
+            .map(t => `• ${t.theme} (${t.occurrences} ${t.occurrences === 1 ? 'day' : 'days'})`)
+            .join('\n')}`,
+        },
+      });
+    }
+
+    // Add open tasks
+    const tasks = rollup.open_tasks as unknown as SummaryData['tasks'];
+    if (tasks && tasks.length > 0) {
+      blocks.push({
+        type: 'divider',
+      });
+
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*Open Tasks*${stats.carried_task_count > 0 ? ` (${stats.carried_task_count} carried over)` : ''}`,
+        },
+      });
+
+      const taskLines = tasks.slice(0, 15).map(task => {
+        let taskText = `• <${task.source_permalink}|${task.title}>`;
+
+        if (task.owner_user_id) {
+          taskText += ` (Owner: <@${task.owner_user_id}>)`;
+        }
+
+        if (task.due_date) {
+          taskText += ` (Due: ${new Date(task.due_date).toLocaleDateString()})`;
+        }
+
+        return taskText;
+      });
+
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: taskLines.join('\n').substring(0, 3000),
+        },
+      });
+    }
+
+    // Add highlights
+    const highlights = rollup.highlights as unknown as SummaryData['highlights'];
+    if (highlights && highlights.length > 0) {
+      blocks.push({
+        type: 'divider',
+      });
+
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*Highlights*\n${highlights
+            .map(h => `• <${h.permalink}|${h.text.substring(0, 100)}${h.text.length > 100 ? '...' : ''}>`)
+            .join('\n')}`.substring(0, 3000),
+        },
+      });
+    }
+
+    // Send the message to Slack
+    const result = await workspace.client.chat.postMessage({
+      channel: workspace.digestChannel,
+      blocks,
+      text: title,
+    });
+
+    logger.info(
+      { rollupId, channel: workspace.digestChannel, ts: result.ts },
+      'Posted rollup to Slack'
+    );
+
+    return result;
+  } catch (error) {
+    logger.error({ error, rollupId }, 'Failed to post rollup to Slack');
+    throw error;
+  }
+}
+
+/**
+ * Generate and post the rollups of a period for every conversation with
+ * summaries in the window, followed by the rollup across all conversations
+ * of each workspace
+ */
+export async function runRollupTask(period: RollupPeriod) {
+  try {
+    const { start, end } = getRollupWindow(period);
+    logger.info({ period, from: start, to: end }, 'Starting rollup task');
+
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        ...activeConversationWhere(await getDisabledTenants()),
+        summaries: {
+          some: {
+            period_end: { gt: start, lte: end },
+            on_demand: false,
+          },
+        },
+      },
+    });
+
+    const rollups = [];
+    for (const conversation of conversations) {
+      try {
+        rollups.push(await generateRollup(period, start, end, conversation.id));
+      } catch (error) {
+        logger.error({ error, period, conversationId: conversation.id }, 'Failed to generate rollup');
+      }
+    }
+
+    const conversationsByTeam = new Map<string | null, number>();
+    conversations.forEach(c => conversationsByTeam.set(c.team_id, (conversationsByTeam.get(c.team_id) || 0) + 1));
+
+    for (const [teamId, count] of conversationsByTeam) {
+      if (count < 2) continue;
+
+      try {
+        rollups.push(await generateRollup(period, start, end, null, teamId));
+      } catch (error) {
+        logger.error({ error, period, teamId }, 'Failed to generate cross-channel rollup');
+      }
+    }
+
+    for (const rollup of rollups) {
+      if (!rollup) continue;
+
+      try {
+        await postRollupToSlack(rollup.id);
+      } catch (error) {
+        logger.error({ error, rollupId: rollup.id }, 'Failed to post rollup to Slack');
+      }
+    }
+
+    logger.info({ period, count: rollups.filter(Boolean).length }, 'Completed rollup task');
+  } catch (error) {
+    logger.error({ error, period }, 'Failed to run rollup task');
+    throw error;
+  }
+}
+
+// Run a rollup as a standalone script: tsx src/rollup.ts --period weekly|monthly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const periodIndex = args.indexOf('--period');
+  const period = (periodIndex !== -1 ? args[periodIndex + 1] : 'weekly') as RollupPeriod;
+
+  if (period !== 'weekly' && period !== 'monthly') {
+    logger.error({ period }, 'Period must be weekly or monthly');
+    process.exit(1);
+  }
+
+  runRollupTask(period)
+    .then(() => {
+      logger.info('Rollup complete');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error({ error }, 'Rollup failed');
+      process.exit(1);
+    });
+}
+
+export default {
+  getRollupWindow,
+  generateRollup,
+  postRollupToSlack,
+  runRollupTask,
+};
@@ -1,10 +1,12 @@
 import express from 'express';
-import { receiver } from './slack';
+import slackApp, { receiver } from './slack';
 import logger from './logger';
 import config from './config';
-import prisma from './store';
+import prisma, { backfillPostedAt } from './store';
+import { startQueueWorkers, stopQueueWorkers } from './queue';
+import { getRateLimiterMetrics } from './rate-limiter';
 
-// Create Express app from the receiver
+// Create Express app from the receiver; with Socket Mode it serves everything but events
 const app = receiver.app;
 
 // Add health check endpoint
@@ -16,6 +18,14 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Slack API calls and their queueing delay in the rate limiter, per tier
+app.get('/metrics', (req, res) => {
+  res.status(200).send({
+    slackRateLimiter: getRateLimiterMetrics(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
 // Add installation success page
 app.get('/slack/installation-success', (req, res) => {
   res.status(200).send(`
@@ -197,17 +207,34 @@ const startServer = async () => {
     await prisma.$connect();
     logger.info('Connected to the database');
     
+    // Fill posted_at for messages stored before the column existed
+    backfillPostedAt().catch((error) => logger.error({ error }, 'Failed to backfill message posted_at'));
+    
     // Start the server
     const server = app.listen(config.PORT, () => {
       logger.info(`Server is running on port ${config.PORT}`);
     });
     
+    // Start draining the ingestion queue
+    startQueueWorkers();
+    
+    // Connect to Slack over Socket Mode if enabled
+    if (config.SLACK_SOCKET_MODE) {
+      await slackApp.start();
+      logger.info('Connected to Slack over Socket Mode');
+    }
+    
     // Handle shutdown gracefully
     process.on('SIGTERM', async () => {
       logger.info('SIGTERM signal received: closing HTTP server');
       server.close(() => {
         logger.info('HTTP server closed');
       });
+      if (config.SLACK_SOCKET_MODE) {
+        await slackApp.stop();
+        logger.info('Socket Mode connection closed');
+      }
+      await stopQueueWorkers();
       await prisma.$disconnect();
       logger.info('Database connection closed');
       process.exit(0);
@@ -0,0 +1,304 @@
+import path from 'path';
+import prisma from './store';
+import logger from './logger';
+import { ensureConversation, extractMentions, upsertThread } from './ingest';
+import { getWorkspace, getTeamDomain } from './workspaces';
+import { openZipFile, ZipEntry } from './utils/zip';
+import { buildPermalink } from './utils/permalink';
+import { slackTsToDate } from './utils/date';
+import {
+  SlackMessageContent,
+  isStoredMessage,
+  getMessageAuthor,
+  getBotName,
+  extractAttachmentText,
+  extractFileMetadata,
+} from './utils/messages';
+
+// Conversation lists of a Slack export, and the type of conversation each holds
+const CONVERSATION_FILES = [
+  { file: 'channels.json', type: 'is_channel' },
+  { file: 'groups.json', type: 'is_group' },
+  { file: 'mpims.json', type: 'is_mpim' },
+  { file: 'dms.json', type: 'is_im' },
+] as const;
+
+// Day files hold one day of a conversation's messages, e.g. general/2026-10-19.json
+const DAY_FILE = /^(.+)\/(\d{4}-\d{2}-\d{2})\.json$/;
+
+interface ExportConversation {
+  id: string;
+  name?: string;
+  members?: string[];
+}
+
+interface ExportMessage extends SlackMessageContent {
+  type: string;
+  ts: string;
+  thread_ts?: string;
+  reply_count?: number;
+  reply_users_count?: number;
+  latest_reply?: string;
+  edited?: { user: string; ts: string };
+  reactions?: Array<{ name: string; users: string[]; count: number }>;
+}
+
+export interface ImportOptions {
+  // Workspace the export belongs to; defaults to the team of its users
+  teamId?: string | null;
+  // Workspace domain for permalinks, e.g. "acme" for acme.slack.com
+  domain?: string | null;
+}
+
+/**
+ * Parse a JSON file of the export, or return `fallback` if the export has no such file
+ */
+async function readJson<T>(entries: Map<string, ZipEntry>, name: string, fallback: T): Promise<T> {
+  const entry = entries.get(name);
+  return entry ? JSON.parse((await entry.read()).toString('utf8')) : fallback;
+}
+
+/**
+ * Store the users of an export, so imported messages can be attributed without
+ * calling users.info
+ */
+async function importUsers(users: any[]) {
+  for (const user of users) {
+    const data = {
+      team_id: user.team_id || null,
+      enterprise_id: user.enterprise_user?.enterprise_id || null,
+      name: user.name,
+      real_name: user.real_name || user.profile?.real_name || null,
+      email: user.profile?.email || null,
+      avatar: user.profile?.image_72 || null,
+      is_bot: !!user.is_bot,
+      last_updated: new Date(),
+    };
+
+    await prisma.user.upsert({
+      where: { slack_id: user.id },
+      update: data,
+      create: { slack_id: user.id, ...data },
+    });
+  }
+}
+
+/**
+ * Import the day files of one conversation. Messages are upserted on their channel
+ * and timestamp, so importing the same export again only updates them.
+ */
+async function importConversation(
+  conversation: ExportConversation,
+  type: (typeof CONVERSATION_FILES)[number]['type'],
+  days: ZipEntry[],
+  options: ImportOptions
+) {
+  const dbConversation = await ensureConversation(
+    {
+      id: conversation.id,
+      name: conversation.name || conversation.id,
+      is_channel: type === 'is_channel',
+      is_group: type === 'is_group',
+      is_im: type === 'is_im',
+      is_mpim: type === 'is_mpim',
+    },
+    options.teamId
+  );
+
+  const threadParents: ExportMessage[] = [];
+  // Newest imported reply of each thread
+  const latestReplies = new Map<string, string>();
+  let imported = 0;
+  let lastTs: string | undefined;
+
+  for (const day of days) {
+    const messages: ExportMessage[] = JSON.parse((await day.read()).toString('utf8'));
+
+    // Joins, topic changes and other channel events are skipped
+    const userMessages = messages.filter(isStoredMessage);
+
+    await prisma.$transaction(
+      userMessages.map(message => {
+        const text = message.text || '';
+        const attachmentText = extractAttachmentText(message);
+        const data = {
+          team_id: options.teamId,
+          posted_at: slackTsToDate(message.ts),
+          text,
+          subtype: message.subtype || null,
+          bot_id: message.bot_id || null,
+          bot_name: getBotName(message),
+          attachment_text: attachmentText,
+          files: extractFileMetadata(message) as any,
+          thread_ts: message.thread_ts,
+          permalink: buildPermalink(options.domain, conversation.id, message.ts, message.thread_ts),
+          reactions: message.reactions
+            ? Object.fromEntries(message.reactions.map(r => [r.name, r.users]))
+            : undefined,
+          mentions: extractMentions(attachmentText ? `${text}\n${attachmentText}` : text),
+          edited_ts: message.edited?.ts || null,
+        };
+
+        return prisma.message.upsert({
+          where: { channel_id_ts: { channel_id: dbConversation.id, ts: message.ts } },
+          update: data,
+          create: { channel_id: dbConversation.id, ts: message.ts, user_id: getMessageAuthor(message), ...data },
+        });
+      })
+    );
+
+    for (const message of userMessages) {
+      if (message.reply_count && message.thread_ts === message.ts) {
+        threadParents.push(message);
+      } else if (message.thread_ts && message.thread_ts !== message.ts) {
+        const latest = latestReplies.get(message.thread_ts);
+        if (!latest || parseFloat(message.ts) > parseFloat(latest)) {
+          latestReplies.set(message.thread_ts, message.ts);
+        }
+      }
+
+      if (!lastTs || parseFloat(message.ts) > parseFloat(lastTs)) {
+        lastTs = message.ts;
+      }
+    }
+
+    imported += userMessages.length;
+  }
+
+  // Imported replies do not need to be fetched again by ingestion
+  for (const parent of threadParents) {
+    const thread = await upsertThread(dbConversation.id, parent);
+    const latestReply = latestReplies.get(parent.ts);
+
+    if (latestReply) {
+      await prisma.thread.update({
+        where: { id: thread.id },
+        data: { last_ts_processed: latestReply },
+      });
+    }
+  }
+
+  // Ingestion continues after the export rather than crawling it again
+  if (
+    lastTs &&
+    (!dbConversation.last_ts_processed || parseFloat(lastTs) > parseFloat(dbConversation.last_ts_processed))
+  ) {
+    await prisma.conversation.update({
+      where: { id: dbConversation.id },
+      data: { last_ts_processed: lastTs },
+    });
+  }
+
+  return { messages: imported, threads: threadParents.length };
+}
+
+/**
+ * Import a Slack workspace export ZIP: its users, conversations, and their messages
+ * with threads, reactions and mentions. Permalinks are built locally; the Slack API is
+ * only called to look up the workspace domain when none is given or stored.
+ */
+export async function importSlackExport(archivePath: string, options: ImportOptions = {}) {
+  // Only the archive's directory is held in memory; day files are read one at a time
+  const archive = await openZipFile(archivePath);
+
+  try {
+    return await importArchive(archivePath, archive.entries, options);
+  } finally {
+    archive.close();
+  }
+}
+
+/**
+ * Import the entries of an opened export archive
+ */
+async function importArchive(archivePath: string, zipEntries: ZipEntry[], options: ImportOptions) {
+  const entries = new Map(zipEntries.map(entry => [entry.name, entry]));
+
+  // Exports downloaded through some tools are nested in a top-level folder
+  const root = [...entries.keys()].find(name => path.posix.basename(name) === 'users.json');
+  const prefix = root ? root.slice(0, -'users.json'.length) : '';
+  const files = new Map([...entries].map(([name, entry]) => [name.slice(prefix.length), entry]));
+
+  const users: any[] = await readJson(files, 'users.json', []);
+  const teamId = options.teamId || users.find(user => user.team_id && !user.is_bot)?.team_id || null;
+  // Without a domain, use the one of the workspace's installation, if it is installed
+  const workspace = teamId ? await getWorkspace(teamId) : null;
+  const domain = options.domain || (workspace ? await getTeamDomain(workspace) : null);
+  const importOptions = { ...options, teamId, domain };
+
+  logger.info({ archivePath, teamId, users: users.length }, 'Importing Slack export');
+  await importUsers(users);
+
+  // Day files by folder; folders are named after the channel, or the ID for DMs
+  const daysByFolder = new Map<string, ZipEntry[]>();
+  for (const [name, entry] of files) {
+    const match = DAY_FILE.exec(name);
+    if (match) {
+      const days = daysByFolder.get(match[1]) || [];
+      days.push(entry);
+      daysByFolder.set(match[1], days);
+    }
+  }
+
+  const results: Array<{ channelId: string; name: string; messages: number; threads: number; error?: string }> = [];
+
+  for (const { file, type } of CONVERSATION_FILES) {
+    const conversations: ExportConversation[] = await readJson(files, file, []);
+
+    for (const conversation of conversations) {
+      const days = (daysByFolder.get(conversation.name || '') || daysByFolder.get(conversation.id) || []).sort(
+        (a, b) => a.name.localeCompare(b.name)
+      );
+      const name = conversation.name || conversation.id;
+
+      try {
+        const counts = await importConversation(conversation, type, days, importOptions);
+        results.push({ channelId: conversation.id, name, ...counts });
+        logger.info({ channelId: conversation.id, name, ...counts }, 'Imported conversation');
+      } catch (error: any) {
+        results.push({ channelId: conversation.id, name, messages: 0, threads: 0, error: String(error?.message || error) });
+        logger.error({ error, channelId: conversation.id, name }, 'Failed to import conversation');
+      }
+    }
+  }
+
+  const totals = {
+    conversations: results.length,
+    failed: results.filter(r => r.error).length,
+    messages: results.reduce((sum, r) => sum + r.messages, 0),
+    threads: results.reduce((sum, r) => sum + r.threads, 0),
+  };
+
+  logger.info({ archivePath, teamId, ...totals }, 'Imported Slack export');
+  return { teamId, totals, conversations: results };
+}
+
+// Import an export as a standalone script:
+// slack-import.ts <export.zip> [--team T0123] [--domain acme]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const archivePath = args.find((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'));
+  const option = (name: string) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  if (!archivePath) {
+    logger.error('Usage: npm run import:export -- <export.zip> [--team T0123] [--domain acme]');
+    process.exit(1);
+  }
+
+  importSlackExport(archivePath, { teamId: option('--team'), domain: option('--domain') })
+    .then(({ totals }) => {
+      logger.info({ totals }, 'Import complete');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error({ error }, 'Import failed');
+      process.exit(1);
+    });
+}
+
+export default {
+  importSlackExport,
+};
@@ -1,23 +1,137 @@
-import { App, ExpressReceiver, LogLevel } from '@slack/bolt';
-import { WebClient, ErrorCode, WebAPICallResult } from '@slack/web-api';
+import { App, ExpressReceiver, SocketModeReceiver, LogLevel } from '@slack/bolt';
+import { addHours } from 'date-fns';
+import { WebAPICallResult } from '@slack/web-api';
 import config from './config';
 import logger from './logger';
 import prisma from './store';
-import { queueMessageForIngestion } from './ingest';
+import { findStoredMessage, ensureConversation } from './ingest';
+import { enqueueEvent } from './queue';
+import { claimEvent, releaseEvent } from './event-dedupe';
+import { createSlackClient } from './rate-limiter';
+import { generateSummaryForTimeWindow, buildSummaryMessage, postSummaryToSlack } from './summarize';
+import { parseTimeRange, formatDateForSlack } from './utils/date';
+import { publishHomeView, recordHomeOpened, toggleDigestSubscription } from './home';
+import { setTaskStatus, reassignTask, snoozeTask } from './task-tracker';
+import { setQuietHours } from './reminders';
+import { recordAudit, disableInstallation, revokeUserTokens } from './tenants';
+import { getWorkspace, withFreshTokens, isLegacyTeam } from './workspaces';
+import { encryptInstallationTokens, decryptInstallationTokens } from './token-encryption';
+
+/**
+ * Convert a stored token expiry to the UTC seconds the installation store uses
+ */
+function toExpiresAt(date: Date | null) {
+  return date ? Math.floor(date.getTime() / 1000) : undefined;
+}
+
+/**
+ * Convert an installation's token expiry in UTC seconds to a date
+ */
+function fromExpiresAt(seconds: number | undefined) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * Find the stored installation for an installation query: the org-wide install for
+ * enterprise queries, otherwise the workspace's own install or, for a workspace of
+ * an Enterprise Grid org, the org-wide install covering it
+ */
+async function findInstallation(installQuery: {
+  teamId?: string;
+  enterpriseId?: string;
+  isEnterpriseInstall?: boolean;
+}) {
+  if (installQuery.teamId !== undefined && !installQuery.isEnterpriseInstall) {
+    const installation = await prisma.installation.findUnique({
+      where: {
+        team_id: installQuery.teamId,
+      },
+    });
+    
+    if (installation) {
+      return decryptInstallationTokens(installation);
+    }
+  }
+  
+  if (installQuery.enterpriseId !== undefined) {
+    const installation = await prisma.installation.findFirst({
+      where: {
+        enterprise_id: installQuery.enterpriseId,
+        is_enterprise_install: true,
+      },
+    });
+    
+    return decryptInstallationTokens(installation);
+  }
+  
+  return null;
+}
 
 // Initialize receiver
 const receiver = new ExpressReceiver({
   signingSecret: config.SLACK_SIGNING_SECRET,
+  // With Socket Mode events arrive over the websocket, so /slack/events is not mounted
+  // and answers 404 instead of waiting for a listener that never runs
+  endpoints: config.SLACK_SOCKET_MODE ? {} : undefined,
   clientId: config.SLACK_CLIENT_ID,
   clientSecret: config.SLACK_CLIENT_SECRET,
   stateSecret: 'slack-summarizer-state-secret',
   installationStore: {
     storeInstallation: async (installation) => {
-      logger.info('Storing installation');
+      logger.info(
+        { teamId: installation.team?.id, enterpriseId: installation.enterprise?.id },
+        'Storing installation'
+      );
+      
+      // Tokens are encrypted at rest, see token-encryption.ts
+      const data = encryptInstallationTokens({
+        team_name: installation.team?.name,
+        enterprise_id: installation.enterprise?.id,
+        enterprise_name: installation.enterprise?.name,
+        is_enterprise_install: !!installation.isEnterpriseInstall,
+        bot_token: installation.bot?.token as string,
+        bot_refresh_token: installation.bot?.refreshToken,
+        bot_token_expires_at: fromExpiresAt(installation.bot?.expiresAt),
+        bot_id: installation.bot?.id as string,
+        bot_user_id: installation.bot?.userId as string,
+        user_id: installation.user?.id,
+        user_token: installation.user?.token,
+        user_refresh_token: installation.user?.refreshToken,
+        user_token_expires_at: fromExpiresAt(installation.user?.expiresAt),
+        incoming_webhook_url: installation.incomingWebhook?.url,
+        incoming_webhook_channel: installation.incomingWebhook?.channel,
+        incoming_webhook_channel_id: installation.incomingWebhook?.channelId,
+        // Reinstalling re-enables a workspace disabled by an uninstall
+        disabled_at: null,
+        disabled_reason: null,
+        updated_at: new Date(),
+      });
+      
+      // Digests go to the channel picked for the webhook during install
+      const created = {
+        ...data,
+        digest_channel: installation.incomingWebhook?.channelId,
+        installed_at: new Date(),
+      };
       
       if (installation.isEnterpriseInstall && installation.enterprise !== undefined) {
-        // Enterprise installation
-        throw new Error('Enterprise installations are not supported yet');
+        // Org-wide installation, covering every workspace of the org
+        const existing = await findInstallation({
+          enterpriseId: installation.enterprise.id,
+          isEnterpriseInstall: true,
+        });
+        
+        if (existing) {
+          await prisma.installation.update({
+            where: { id: existing.id },
+            data,
+          });
+        } else {
+          await prisma.installation.create({
+            data: created,
+          });
+        }
+        return;
       }
       
       if (installation.team !== undefined) {
@@ -26,31 +140,10 @@ const receiver = new ExpressReceiver({
           where: {
             team_id: installation.team.id,
           },
-          update: {
-            team_name: installation.team.name,
-            bot_token: installation.bot?.token as string,
-            bot_id: installation.bot?.id as string,
-            bot_user_id: installation.bot?.userId as string,
-            user_id: installation.user?.id,
-            user_token: installation.user?.token,
-            incoming_webhook_url: installation.incomingWebhook?.url,
-            incoming_webhook_channel: installation.incomingWebhook?.channel,
-            incoming_webhook_channel_id: installation.incomingWebhook?.channelId,
-            updated_at: new Date(),
-          },
+          update: data,
           create: {
             team_id: installation.team.id,
-            team_name: installation.team.name,
-            bot_token: installation.bot?.token as string,
-            bot_id: installation.bot?.id as string,
-            bot_user_id: installation.bot?.userId as string,
-            user_id: installation.user?.id,
-            user_token: installation.user?.token,
-            incoming_webhook_url: installation.incomingWebhook?.url,
-            incoming_webhook_channel: installation.incomingWebhook?.channel,
-            incoming_webhook_channel_id: installation.incomingWebhook?.channelId,
-            installed_at: new Date(),
-            updated_at: new Date(),
+            ...created,
           },
         });
         return;
@@ -61,41 +154,64 @@ const receiver = new ExpressReceiver({
     fetchInstallation: async (installQuery: any) => {
       logger.info('Fetching installation', installQuery);
       
-      if (installQuery.isEnterpriseInstall && installQuery.enterpriseId !== undefined) {
-        // Enterprise installation lookup
-        throw new Error('Enterprise installations are not supported yet');
+      const stored = await findInstallation(installQuery);
+      
+      // Uninstalled workspaces, see tenants.ts
+      if (stored?.disabled_at) {
+        throw new Error('Installation is disabled');
       }
       
-      if (installQuery.teamId !== undefined) {
-        // Team installation lookup
-        const installation = await prisma.installation.findUnique({
-          where: {
-            team_id: installQuery.teamId,
-          },
-        });
+      if (stored) {
+        // Rotating tokens are refreshed here so Bolt never receives an expiring token
+        const installation = await withFreshTokens(stored);
         
-        if (installation) {
-          return {
-            team: { id: installation.team_id, name: installation.team_name },
-            enterprise: undefined,
-            user: { id: installation.user_id, token: installation.user_token },
-            bot: {
-              id: installation.bot_id,
-              userId: installation.bot_user_id,
-              token: installation.bot_token,
-            },
-            incomingWebhook: installation.incoming_webhook_url 
-              ? {
-                  url: installation.incoming_webhook_url,
-                  channel: installation.incoming_webhook_channel || '',
-                  channelId: installation.incoming_webhook_channel_id || '',
-                  configurationUrl: '',
-                }
-              : undefined,
-            isEnterpriseInstall: false,
-            authVersion: 'v2',
-          };
-        }
+        return {
+          team: installation.team_id
+            ? { id: installation.team_id, name: installation.team_name || '' }
+            : undefined,
+          enterprise: installation.enterprise_id
+            ? { id: installation.enterprise_id, name: installation.enterprise_name || '' }
+            : undefined,
+          user: {
+            id: installation.user_id,
+            token: installation.user_token,
+            refreshToken: installation.user_refresh_token || undefined,
+            expiresAt: toExpiresAt(installation.user_token_expires_at),
+          },
+          bot: {
+            id: installation.bot_id,
+            userId: installation.bot_user_id,
+            token: installation.bot_token,
+            refreshToken: installation.bot_refresh_token || undefined,
+            expiresAt: toExpiresAt(installation.bot_token_expires_at),
+          },
+          incomingWebhook: installation.incoming_webhook_url 
+            ? {
+                url: installation.incoming_webhook_url,
+                channel: installation.incoming_webhook_channel || '',
+                channelId: installation.incoming_webhook_channel_id || '',
+                configurationUrl: '',
+              }
+            : undefined,
+          isEnterpriseInstall: installation.is_enterprise_install,
+          authVersion: 'v2',
+        };
+      }
+      
+      // Single-workspace deployments use the configured bot token, for its own workspace only
+      if (installQuery.teamId !== undefined && config.SLACK_BOT_TOKEN && (await isLegacyTeam(installQuery.teamId))) {
+        return {
+          team: { id: installQuery.teamId, name: '' },
+          enterprise: undefined,
+          user: { id: '', token: undefined },
+          bot: {
+            id: '',
+            userId: '',
+            token: config.SLACK_BOT_TOKEN,
+          },
+          isEnterpriseInstall: false,
+          authVersion: 'v2',
+        };
       }
       
       throw new Error('Failed fetching installation data');
@@ -104,8 +220,14 @@ const receiver = new ExpressReceiver({
       logger.info('Deleting installation', installQuery);
       
       if (installQuery.isEnterpriseInstall && installQuery.enterpriseId !== undefined) {
-        // Enterprise installation deletion
-        throw new Error('Enterprise installations are not supported yet');
+        // Org-wide installation deletion
+        await prisma.installation.deleteMany({
+          where: {
+            enterprise_id: installQuery.enterpriseId,
+            is_enterprise_install: true,
+          },
+        });
+        return;
       }
       
       if (installQuery.teamId !== undefined) {
@@ -125,7 +247,16 @@ const receiver = new ExpressReceiver({
     directInstall: true,
     callbackOptions: {
       success: (installation, installOptions, req, res) => {
-        // Handle successful installations
+        // Handle successful installations; the store is also called when tokens rotate,
+        // so installs are audited here
+        recordAudit(
+          {
+            teamId: installation.team?.id || null,
+            enterpriseId: installation.enterprise?.id || null,
+            isEnterpriseInstall: !!installation.isEnterpriseInstall,
+          },
+          'installed'
+        );
         res.writeHead(302, { Location: `${config.BASE_URL}/slack/installation-success` });
         res.end();
       },
@@ -149,43 +280,89 @@ const receiver = new ExpressReceiver({
     'users:read',
     'users:read.email',
     'reactions:read',
+    'team:read',
     'chat:write',
     'app_mentions:read',
+    'commands',
+    'incoming-webhook',
   ],
 });
 
-// Create the Slack app
-const app = new App({
-  receiver,
-  token: config.SLACK_BOT_TOKEN,
-  logLevel: config.NODE_ENV === 'production' ? LogLevel.INFO : LogLevel.DEBUG,
-});
+const logLevel = config.NODE_ENV === 'production' ? LogLevel.INFO : LogLevel.DEBUG;
+
+// With Socket Mode, events arrive over a websocket opened with the app-level token and
+// no public endpoint is needed; the Express receiver still serves installs and the API
+const socketModeReceiver = config.SLACK_SOCKET_MODE
+  ? new SocketModeReceiver({
+      appToken: config.SLACK_APP_TOKEN as string,
+      logLevel,
+    })
+  : undefined;
 
-// Create a web client for additional functionality
-export const slackClient = new WebClient(config.SLACK_BOT_TOKEN);
+// Create the Slack app; each workspace's token comes from the installation store
+const app = socketModeReceiver
+  ? new App({
+      receiver: socketModeReceiver,
+      authorize: (source) => receiver.installer!.authorize(source),
+      logLevel,
+    })
+  : new App({
+      receiver,
+      logLevel,
+    });
 
-// Define middleware to catch and handle rate limits
-app.use(async ({ next }) => {
+// Web client for the single-workspace SLACK_BOT_TOKEN; per-workspace clients come from workspaces.ts
+export const slackClient = createSlackClient(config.SLACK_BOT_TOKEN);
+
+/**
+ * Get the rate-limited client of the workspace a request came from. Listeners use it
+ * instead of Bolt's own client, which would bypass the shared rate limiter.
+ */
+async function getRequestClient(teamId: string | null | undefined) {
+  const workspace = await getWorkspace(teamId);
+  
+  if (!workspace) {
+    throw new Error(`No installation for team ${teamId}`);
+  }
+  
+  return workspace.client;
+}
+
+// Skip events Slack redelivers (with X-Slack-Retry-Num) after we already received them.
+// Events are acknowledged before middleware runs, so a skipped retry is still acked.
+// Events whose listeners fail are released, so a redelivery is handled again.
+app.use(async ({ body, context, next }) => {
+  const eventId = (body as any).event_id;
+  
+  if (body.type !== 'event_callback' || !eventId) {
+    await next();
+    return;
+  }
+  
+  const claimed = await claimEvent(eventId, (body as any).event?.type, context.teamId);
+  
+  if (!claimed) {
+    logger.info(
+      { eventId, retryNum: context.retryNum, retryReason: context.retryReason },
+      'Skipping redelivered event'
+    );
+    return;
+  }
+  
   try {
-    const result = await next();
-    return result;
-  } catch (error: any) {
-    if (error.code === ErrorCode.RateLimitedError) {
-      logger.warn({ retryAfter: error.retryAfter }, 'Rate limited by Slack API');
-      // Wait for the specified time and then retry
-      await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
-      // Next middleware will be called after the timeout
-    } else {
-      logger.error(error, 'Error in Slack middleware');
-      throw error;
-    }
+    await next();
+  } catch (error) {
+    await releaseEvent(eventId);
+    throw error;
   }
 });
 
 // Handle app mention events
-app.event('app_mention', async ({ event, say }) => {
+app.event('app_mention', async ({ event, context }) => {
   try {
-    await say({
+    const client = await getRequestClient(context.teamId);
+    await client.chat.postMessage({
+      channel: event.channel,
       text: `Hello <@${event.user}>! I'm Slack Summarizer. I'll generate daily summaries of this channel's activity.`,
       thread_ts: event.thread_ts || event.ts,
     });
@@ -194,13 +371,19 @@ app.event('app_mention', async ({ event, say }) => {
   }
 });
 
-// Handle all message events
-const messageHandler = async ({ event, client }: { event: any, client: any }) => {
+// Handle all message events; the queue workers fetch and store them, see queue.ts
+const messageHandler = async ({ event, body, context }: { event: any, body: any, context: any }) => {
   try {
-    // Queue the message for ingestion
-    await queueMessageForIngestion(event, client);
+    await enqueueEvent({
+      type: 'message',
+      eventId: body.event_id,
+      teamId: context.teamId || null,
+      enterpriseId: context.enterpriseId || null,
+      event,
+    });
   } catch (error) {
     logger.error({ error, event }, 'Error handling message event');
+    throw error;
   }
 };
 
@@ -210,67 +393,352 @@ app.event('message.groups', messageHandler);
 app.event('message.im', messageHandler);
 app.event('message.mpim', messageHandler);
 
-// Handle reaction events
-app.event('reaction_added', async ({ event }) => {
-  try {
-    // Get the message being reacted to
-    const { item } = event;
+// Handle the /summarize slash command
+app.command('/summarize', async ({ command, ack, respond, context }) => {
+  // `/summarize bots on|off` sets whether bot messages are included in the channel's summaries
+  const botsSetting = /^\s*bots\s+(on|off)\s*$/i.exec(command.text || '');
+  
+  if (botsSetting) {
+    const summarizeBots = botsSetting[1].toLowerCase() === 'on';
+    await ack();
     
-    if (item.type === 'message') {
-      const { channel, ts } = item;
+    try {
+      const client = await getRequestClient(context.teamId);
+      const conversationInfo = await client.conversations.info({ channel: command.channel_id });
+      const conversation = await ensureConversation(
+        conversationInfo.channel as any,
+        command.team_id,
+        command.enterprise_id || null
+      );
       
-      // Fetch the conversation to get the internal ID
-      const conversation = await prisma.conversation.findFirst({
-        where: {
-          slack_id: channel,
-        },
+      await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: { summarize_bot_messages: summarizeBots },
       });
       
-      if (!conversation) {
-        logger.warn({ channel }, 'Conversation not found when processing reaction');
-        return;
-      }
-      
-      // Find the message in the database
-      const message = await prisma.message.findUnique({
-        where: {
-          channel_id_ts: {
-            channel_id: conversation.id,
-            ts: ts,
-          },
-        },
+      await respond({
+        response_type: 'ephemeral',
+        text: summarizeBots
+          ? 'Messages from bots and integrations will be included in this channel\'s summaries.'
+          : 'Messages from bots and integrations will be left out of this channel\'s summaries.',
       });
-      
-      if (!message) {
-        logger.warn({ channel, ts }, 'Message not found when processing reaction');
-        return;
-      }
-      
-      // Get the current reactions
-      let reactions = message.reactions as Record<string, string[]> || {};
-      
-      // Add the new reaction
-      if (!reactions[event.reaction]) {
-        reactions[event.reaction] = [];
-      }
-      
-      // Add the user if not already present
-      if (!reactions[event.reaction].includes(event.user)) {
-        reactions[event.reaction].push(event.user);
-      }
-      
-      // Update the message in the database
-      await prisma.message.update({
-        where: {
-          id: message.id,
-        },
-        data: {
-          reactions,
-        },
+    } catch (error) {
+      logger.error({ error, channel: command.channel_id }, 'Error updating bot message setting');
+      await respond({
+        response_type: 'ephemeral',
+        text: 'Sorry, I could not update this channel\'s settings. Make sure I have been invited to the channel.',
       });
     }
+    return;
+  }
+  
+  const range = parseTimeRange(command.text || '');
+  
+  if (!range) {
+    await ack({
+      response_type: 'ephemeral',
+      text: `Sorry, I couldn't understand "${command.text}". Try \`/summarize last 2h\`, \`/summarize since yesterday\` or \`/summarize 2026-10-01..2026-10-07\`.`,
+    });
+    return;
+  }
+  
+  // Acknowledge within Slack's 3-second limit; the summary follows via response_url
+  await ack({
+    response_type: 'ephemeral',
+    text: `Summarizing this channel from ${formatDateForSlack(range.start)} to ${formatDateForSlack(range.end)}...`,
+  });
+  
+  try {
+    let conversation = await prisma.conversation.findUnique({
+      where: { slack_id: command.channel_id },
+    });
+    
+    if (!conversation) {
+      const client = await getRequestClient(context.teamId);
+      const conversationInfo = await client.conversations.info({ channel: command.channel_id });
+      conversation = await ensureConversation(
+        conversationInfo.channel as any,
+        command.team_id,
+        command.enterprise_id || null
+      );
+    }
+    
+    const summary = await generateSummaryForTimeWindow(conversation.id, range.start, range.end, {
+      onDemand: true,
+    });
+    
+    if (!summary) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: true,
+        text: 'No messages found in this channel for that period. Make sure I have been invited to the channel.',
+      });
+      return;
+    }
+    
+    const { blocks, text } = await buildSummaryMessage(summary.id, { shareable: true });
+    
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: true,
+      blocks,
+      text,
+    });
+  } catch (error) {
+    logger.error({ error, channel: command.channel_id, text: command.text }, 'Error handling /summarize command');
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: true,
+      text: 'Sorry, something went wrong while generating the summary.',
+    });
+  }
+});
+
+// Share an on-demand summary with the channel it was requested in
+app.action('share_summary', async ({ ack, body, action, respond }) => {
+  await ack();
+  
+  try {
+    const summaryId = parseInt((action as any).value, 10);
+    const channel = (body as any).channel?.id;
+    
+    await postSummaryToSlack(summaryId, channel);
+    await respond({ delete_original: true });
+  } catch (error) {
+    logger.error({ error }, 'Error sharing summary');
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: 'Sorry, I could not share the summary. Make sure I have been invited to the channel.',
+    });
+  }
+});
+
+// Complete, dismiss or reassign a task from the buttons in a summary message
+app.action(/^task_(complete|dismiss|reassign)$/, async ({ ack, body, action, respond }) => {
+  await ack();
+  
+  try {
+    const { action_id, block_id, selected_user } = action as any;
+    const [, summaryId, taskId] = block_id.split(':').map((part: string) => parseInt(part, 10));
+    
+    if (action_id === 'task_complete') {
+      await setTaskStatus(taskId, 'done', body.user.id);
+    } else if (action_id === 'task_dismiss') {
+      await setTaskStatus(taskId, 'dismissed', body.user.id);
+    } else if (selected_user) {
+      await reassignTask(taskId, selected_user, body.user.id);
+    }
+    
+    // Re-render the summary with the task's new state
+    const { blocks, text } = await buildSummaryMessage(summaryId, {
+      shareable: Boolean((body as any).container?.is_ephemeral),
+    });
+    await respond({ replace_original: true, blocks, text });
+  } catch (error) {
+    logger.error({ error }, 'Error updating task');
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: 'Sorry, I could not update that task.',
+    });
+  }
+});
+
+// Mark a task done or snooze it from a reminder DM
+app.action(/^reminder_(done|snooze)$/, async ({ ack, body, action, respond }) => {
+  await ack();
+  
+  try {
+    const { action_id, value } = action as any;
+    const taskId = parseInt(value, 10);
+    
+    if (action_id === 'reminder_done') {
+      const task = await setTaskStatus(taskId, 'done', body.user.id);
+      await respond({
+        replace_original: true,
+        text: `:white_check_mark: Marked done: ${task.title}`,
+      });
+    } else {
+      const until = addHours(new Date(), config.REMINDER_SNOOZE_HOURS);
+      const task = await snoozeTask(taskId, until, body.user.id);
+      await respond({
+        replace_original: true,
+        text: `:zzz: Snoozed until ${formatDateForSlack(until)}: ${task.title}`,
+      });
+    }
+  } catch (error) {
+    logger.error({ error }, 'Error handling reminder action');
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: 'Sorry, I could not update that task.',
+    });
+  }
+});
+
+// Render the App Home tab when a user opens it
+app.event('app_home_opened', async ({ event, context }) => {
+  try {
+    if (event.tab !== 'home') {
+      return;
+    }
+    
+    await recordHomeOpened(event.user, context.teamId || null);
+    await publishHomeView(event.user, context.teamId || null);
+  } catch (error) {
+    logger.error({ error, event }, 'Error handling app_home_opened event');
+  }
+});
+
+// Toggle a digest subscription from the App Home tab
+app.action('toggle_digest_subscription', async ({ ack, body, action }) => {
+  await ack();
+  
+  try {
+    const conversationId = parseInt((action as any).value, 10);
+    await toggleDigestSubscription(body.user.id, conversationId, body.team?.id || null);
+    await publishHomeView(body.user.id, body.team?.id || null);
+  } catch (error) {
+    logger.error({ error }, 'Error toggling digest subscription');
+  }
+});
+
+// Set or clear reminder quiet hours from the App Home tab
+app.action(/^quiet_hours_(start|end|clear)$/, async ({ ack, body, action, context }) => {
+  await ack();
+  
+  try {
+    const { action_id, selected_option } = action as any;
+    
+    if (action_id === 'quiet_hours_clear') {
+      await setQuietHours(body.user.id, { start: null, end: null });
+    } else {
+      // Quiet hours are in the user's own time zone
+      const client = await getRequestClient(context.teamId);
+      const userInfo = await client.users.info({ user: body.user.id });
+      const hour = parseInt(selected_option.value, 10);
+      
+      await setQuietHours(
+        body.user.id,
+        action_id === 'quiet_hours_start' ? { start: hour } : { end: hour },
+        userInfo.user?.tz
+      );
+    }
+    
+    await publishHomeView(body.user.id, body.team?.id || null);
+  } catch (error) {
+    logger.error({ error }, 'Error updating quiet hours');
+  }
+});
+
+// Disable a workspace, or an org for org-wide installs, when the app is uninstalled
+app.event('app_uninstalled', async ({ context, body }) => {
+  try {
+    await disableInstallation(
+      {
+        teamId: context.teamId || (body as any).team_id || null,
+        enterpriseId: context.enterpriseId || (body as any).enterprise_id || null,
+        isEnterpriseInstall: !!context.isEnterpriseInstall,
+      },
+      'app_uninstalled'
+    );
+  } catch (error) {
+    logger.error({ error, teamId: context.teamId }, 'Error handling app_uninstalled event');
+    throw error;
+  }
+});
+
+// A revoked bot token disables the installation; revoked user tokens are forgotten
+app.event('tokens_revoked', async ({ event, context, body }) => {
+  try {
+    const tenant = {
+      teamId: context.teamId || (body as any).team_id || null,
+      enterpriseId: context.enterpriseId || (body as any).enterprise_id || null,
+      isEnterpriseInstall: !!context.isEnterpriseInstall,
+    };
+    
+    if (event.tokens.bot?.length) {
+      await disableInstallation(tenant, 'tokens_revoked');
+    }
+    
+    await revokeUserTokens(tenant, event.tokens.oauth || []);
+  } catch (error) {
+    logger.error({ error, teamId: context.teamId }, 'Error handling tokens_revoked event');
+    throw error;
+  }
+});
+
+/**
+ * Apply a change to the stored reactions of the message a reaction event refers to
+ */
+async function updateStoredReactions(
+  event: { item: { type: string; channel?: string; ts?: string }; reaction: string; user: string },
+  update: (users: string[]) => string[]
+) {
+  const { item } = event;
+  
+  if (item.type !== 'message' || !item.channel || !item.ts) {
+    return;
+  }
+  
+  const { channel, ts } = item;
+  
+  // Find the message in the database
+  const message = await findStoredMessage(channel, ts);
+  
+  if (!message) {
+    logger.warn({ channel, ts }, 'Message not found when processing reaction');
+    return;
+  }
+  
+  // Lock the row so concurrent reaction events on one message don't overwrite each other
+  await prisma.$transaction(async (tx) => {
+    const [locked] = await tx.$queryRaw<Array<{ reactions: Record<string, string[]> | null }>>`
+      SELECT reactions FROM "Message" WHERE id = ${message.id} FOR UPDATE
+    `;
+    
+    const reactions = { ...(locked?.reactions || {}) };
+    const users = update(reactions[event.reaction] || []);
+    
+    // Drop emoji nobody reacts with any more, as Slack does
+    if (users.length > 0) {
+      reactions[event.reaction] = users;
+    } else {
+      delete reactions[event.reaction];
+    }
+    
+    // Update the message in the database
+    await tx.message.update({
+      where: {
+        id: message.id,
+      },
+      data: {
+        reactions,
+      },
+    });
+  });
+}
+
+// Handle reaction events
+app.event('reaction_added', async ({ event }) => {
+  try {
+    // Add the user if not already present
+    await updateStoredReactions(event, users =>
+      users.includes(event.user) ? users : [...users, event.user]
+    );
   } catch (error) {
     logger.error({ error, event }, 'Error handling reaction_added event');
+    throw error;
+  }
+});
+
+app.event('reaction_removed', async ({ event }) => {
+  try {
+    await updateStoredReactions(event, users => users.filter(u => u !== event.user));
+  } catch (error) {
+    logger.error({ error, event }, 'Error handling reaction_removed event');
+    throw error;
   }
 });
 
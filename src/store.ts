@@ -43,15 +43,20 @@ prisma.$on('warn', (e) => {
  * Store model helper functions
  */
 
+/**
+ * Delete messages posted more than `days` ago. Messages stored before posted_at
+ * existed fall back to when they were stored.
+ */
 export async function softDeleteOldMessages(days: number) {
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - days);
 
   const deletedCount = await prisma.message.deleteMany({
     where: {
-      createdAt: {
-        lt: cutoffDate,
-      },
+      OR: [
+        { posted_at: { lt: cutoffDate } },
+        { posted_at: null, createdAt: { lt: cutoffDate } },
+      ],
     },
   });
 
@@ -59,4 +64,40 @@ export async function softDeleteOldMessages(days: number) {
   return deletedCount;
 }
 
+// Rows updated per statement by backfillPostedAt, to keep each transaction short
+const BACKFILL_BATCH_SIZE = 5000;
+
+/**
+ * Fill posted_at from the Slack timestamp for messages stored before the column
+ * existed. Safe to run repeatedly; only rows without a value are updated.
+ */
+export async function backfillPostedAt() {
+  let total = 0;
+  let updated: number;
+
+  do {
+    updated = await prisma.$executeRaw`
+      UPDATE "Message"
+      SET posted_at = to_timestamp(ts::double precision)
+      WHERE id IN (
+        SELECT id FROM "Message" WHERE posted_at IS NULL LIMIT ${BACKFILL_BATCH_SIZE}
+      )
+    `;
+    total += updated;
+  } while (updated > 0);
+
+  logger.info({ count: total }, 'Backfilled message posted_at');
+  return total;
+}
+
+// Backfill posted_at as a standalone script, after deploying the column
+if (require.main === module) {
+  backfillPostedAt()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error({ error }, 'Failed to backfill message posted_at');
+      process.exit(1);
+    });
+}
+
 export default prisma;
\ No newline at end of file
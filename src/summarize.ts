@@ -1,14 +1,20 @@
-import { OpenAI } from 'openai';
 import * as chrono from 'chrono-node';
 import prisma from './store';
 import logger from './logger';
 import config from './config';
 import { extractMentions } from './ingest';
+import { getLLMProvider, parseJsonResponse, LLMProvider } from './llm';
+import { chunkMessages, mergeSummaries, estimateTokens } from './utils/chunking';
+import { getSummaryText, FileMetadata } from './utils/messages';
+import { EntityNames, renderSlackText } from './utils/mrkdwn';
+import { loadEntityNames } from './entity-names';
 import { WebClient } from '@slack/web-api';
-import { slackClient } from './slack';
+import { getWorkspace } from './workspaces';
+import { syncTasks, getTasksById, getOverdueTasks } from './task-tracker';
+import type { TaskStatus } from './task-tracker';
 
 // Define types for summary data
-interface SummaryData {
+export interface SummaryData {
   summary: string;
   highlights: {
     text: string;
@@ -23,6 +29,9 @@ interface SummaryData {
     confidence: number;
     source_ts: string;
     source_permalink: string;
+    // Set once the task is tracked, see syncTasks
+    task_id?: number;
+    status?: TaskStatus;
   }[];
   mentions: Record<
     string,
@@ -31,9 +40,26 @@ interface SummaryData {
       contexts: string[];
     }
   >;
+  // One-line summaries of threads, completed by buildThreadSummaries
+  threads: {
+    root_ts: string;
+    summary: string;
+  }[];
 }
 
-interface ThreadSummary {
+// Message fields used to build a summary
+interface SummaryMessage {
+  text: string;
+  ts: string;
+  thread_ts?: string;
+  permalink: string;
+  user_id: string;
+  // Set for messages posted by bots and integrations
+  bot_name?: string | null;
+  reactions?: Record<string, string[]>;
+}
+
+export interface ThreadSummary {
   root_ts: string;
   permalink: string;
   summary: string;
@@ -41,6 +67,9 @@ interface ThreadSummary {
   reply_count: number;
 }
 
+// Tasks shown with buttons in a summary message, keeping it under Slack's 50-block limit
+const MAX_MESSAGE_TASKS = 10;
+
 // Task extraction regex patterns
 const TASK_PATTERNS = [
   /\btodo\b:?\s*(.+?)(?:\.|$)/i,
@@ -52,14 +81,6 @@ const TASK_PATTERNS = [
   /\d+\.\s+(.+?)(?:\.|$)/,
 ];
 
-// OpenAI API client
-let openai: OpenAI | null = null;
-if (config.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: config.OPENAI_API_KEY,
-  });
-}
-
 /**
  * Extract tasks from a message using regex patterns
  */
@@ -104,40 +125,10 @@ export function extractTasksHeuristic(
 }
 
 /**
- * Generate a summary using OpenAI's API
+ * Build the system prompt for summarizing messages of a channel
  */
-async function generateAISummary(
-  messages: Array<{
-    text: string;
-    ts: string;
-    thread_ts?: string;
-    permalink: string;
-    user_id: string;
-    reactions?: Record<string, string[]>;
-  }>,
-  channelName: string
-): Promise<SummaryData> {
-  if (!openai) {
-    throw new Error('OpenAI API key not configured');
-  }
-  
-  // Format messages for the API
-  const formattedMessages = messages.map(msg => {
-    const reactions = msg.reactions ? Object.keys(msg.reactions).join(' ') : '';
-    const isThreadParent = messages.some(m => m.thread_ts === msg.ts && m.ts !== msg.ts);
-    const threadMark = isThreadParent ? '[THREAD_START] ' : '';
-    return `${threadMark}[${new Date(parseFloat(msg.ts) * 1000).toISOString()}] <@${
-      msg.user_id
-    }>: ${msg.text} ${reactions ? `[reactions: ${reactions}]` : ''}`;
-  }).join('\n\n');
-  
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini', // Using gpt-4o-mini as specified
-      messages: [
-        {
-          role: 'system',
-          content: `You are an AI assistant that summarizes Slack conversations. You'll receive messages from the "${channelName}" channel and need to create a concise summary. 
+function buildSummaryPrompt(channelName: string) {
+  return `You are an AI assistant that summarizes Slack conversations. You'll receive messages from the "${channelName}" channel and need to create a concise summary. 
           
 Your task is to analyze the conversation and generate:
 1. A concise channel recap (5-10 bullet points)
@@ -146,52 +137,214 @@ Your task is to analyze the conversation and generate:
 4. Extract any action items or tasks, noting who is responsible and any due dates
 5. Create a mention matrix showing who was mentioned and in what context
 
+Messages from authors marked "(bot)" are posted by integrations such as CI or deploy notifications. Report them in aggregate (e.g. "3 failed deploys") rather than one by one. Lines in "[shared files: ...]" list files shared with the message.
+
+Refer to people by name in all text. Use the user IDs from the People list only in the "user_id", "owner_user_id" and "mentions" keys.
+
 Format your response as a JSON object with these keys:
 {
   "summary": "5-10 bullet points recapping key discussions",
   "highlights": [{"text": "message content", "permalink": "url", "ts": "timestamp", "user_id": "user_id"}],
   "tasks": [{"title": "task description", "owner_user_id": "user_id or null", "due_date": "ISO date or null", "confidence": 0.0-1.0, "source_ts": "timestamp", "source_permalink": "url"}],
-  "mentions": {"USER_ID": {"count": number, "contexts": ["brief context"]}}
+  "mentions": {"USER_ID": {"count": number, "contexts": ["brief context"]}},
+  "threads": [{"root_ts": "thread id from the THREAD_START or THREAD_REPLY marker", "summary": "one line"}]
 }
 
-Return valid JSON only, no explanations.`,
-        },
-        {
-          role: 'user',
-          content: formattedMessages.length > 0 ? formattedMessages : 'No messages in this period.',
-        },
-      ],
-      temperature: 0.1,
-      response_format: { type: 'json_object' },
-    });
+Return valid JSON only, no explanations.`;
+}
+
+/**
+ * Prompt token budget for the messages of one chunk, leaving room for the
+ * system prompt and the model's response
+ */
+function getChunkTokenBudget(channelName: string) {
+  const promptTokens = estimateTokens(buildSummaryPrompt(channelName));
+  return Math.max(1000, config.LLM_CONTEXT_TOKENS - config.LLM_MAX_TOKENS - promptTokens);
+}
+
+/**
+ * Summarize one chunk of messages with a single completion
+ */
+async function summarizeChunk(
+  llm: LLMProvider,
+  messages: SummaryMessage[],
+  channelName: string,
+  names: EntityNames
+): Promise<SummaryData> {
+  // Messages name people, and this list gives the IDs for the JSON fields
+  const people = [...new Set(messages.flatMap(m => [...(m.bot_name ? [] : [m.user_id]), ...extractMentions(m.text)]))]
+    .filter(id => names.users[id])
+    .map(id => `${names.users[id]} = ${id}`);
+  
+  // Format messages for the API
+  const formattedMessages = messages.map(msg => {
+    const reactions = msg.reactions ? Object.keys(msg.reactions).join(' ') : '';
+    const isThreadParent = messages.some(m => m.thread_ts === msg.ts && m.ts !== msg.ts);
+    const isThreadReply = !!msg.thread_ts && msg.thread_ts !== msg.ts;
+    const threadMark = isThreadParent
+      ? `[THREAD_START ${msg.ts}] `
+      : isThreadReply
+        ? `[THREAD_REPLY ${msg.thread_ts}] `
+        : '';
+    const author = msg.bot_name ? `${msg.bot_name} (bot)` : names.users[msg.user_id] || `<@${msg.user_id}>`;
+    return `${threadMark}[${new Date(parseFloat(msg.ts) * 1000).toISOString()}] ${author}: ${renderSlackText(
+      msg.text,
+      names,
+      'plain'
+    )} ${
+      reactions ? `[reactions: ${reactions}]` : ''
+    }`;
+  }).join('\n\n');
+  
+  const content = await llm.complete(
+    [
+      {
+        role: 'system',
+        content: buildSummaryPrompt(channelName),
+      },
+      {
+        role: 'user',
+        content:
+          formattedMessages.length > 0
+            ? `${people.length > 0 ? `People (name = user ID): ${people.join(', ')}\n\n` : ''}${formattedMessages}`
+            : 'No messages in this period.',
+      },
+    ],
+    { json: true }
+  );
+  
+  const summaryData = parseJsonResponse(content);
+  
+  // Ensure the response has the expected structure
+  return {
+    summary: Array.isArray(summaryData.summary)
+      ? summaryData.summary.join('\n')
+      : summaryData.summary || 'No summary available.',
+    highlights: Array.isArray(summaryData.highlights) ? summaryData.highlights : [],
+    tasks: Array.isArray(summaryData.tasks) ? summaryData.tasks : [],
+    mentions: summaryData.mentions || {},
+    threads: Array.isArray(summaryData.threads) ? summaryData.threads : [],
+  };
+}
+
+/**
+ * Condense the recaps of consecutive chunks into one recap.
+ * Recaps that do not fit in one prompt are condensed in batches first.
+ */
+async function condenseRecaps(
+  llm: LLMProvider,
+  recaps: string[],
+  channelName: string,
+  maxTokens: number
+): Promise<string> {
+  if (recaps.length === 1) {
+    return recaps[0];
+  }
+  
+  // Group recaps into batches that fit the budget
+  const batches: string[][] = [[]];
+  let batchTokens = 0;
+  for (const recap of recaps) {
+    const tokens = estimateTokens(recap);
+    if (batchTokens + tokens > maxTokens && batches[batches.length - 1].length > 0) {
+      batches.push([]);
+      batchTokens = 0;
+    }
+    batches[batches.length - 1].push(recap);
+    batchTokens += tokens;
+  }
+  
+  // Every recap is too large to pair with another, so condensing cannot make progress
+  if (batches.length === recaps.length) {
+    return recaps.join('\n');
+  }
+  
+  const condensed: string[] = [];
+  for (const batch of batches) {
+    if (batch.length === 1) {
+      condensed.push(batch[0]);
+      continue;
+    }
+    
+    const content = await llm.complete([
+      {
+        role: 'system',
+        content: `You are an AI assistant that summarizes Slack conversations. You'll receive recaps of consecutive parts of the conversation in the "${channelName}" channel, in chronological order.
+
+Combine them into a single recap of 5-10 bullet points, merging points that repeat and keeping decisions, outcomes and open questions.
+
+Return only the bullet points, no explanations.`,
+      },
+      {
+        role: 'user',
+        content: batch.map((recap, i) => `Part ${i + 1}:\n${recap}`).join('\n\n'),
+      },
+    ]);
+    condensed.push(content.trim());
+  }
+  
+  return condenseRecaps(llm, condensed, channelName, maxTokens);
+}
+
+/**
+ * Generate a summary using the configured LLM provider.
+ * Windows larger than the model context are summarized in chunks (map)
+ * and the partial summaries merged into one (reduce).
+ */
+async function generateAISummary(
+  messages: SummaryMessage[],
+  channelName: string,
+  names: EntityNames
+): Promise<SummaryData> {
+  const llm = getLLMProvider();
+  if (!llm) {
+    throw new Error('LLM provider not configured');
+  }
+  
+  try {
+    const chunkTokens = getChunkTokenBudget(channelName);
+    const chunks = chunkMessages(messages, chunkTokens);
     
-    const summaryData = JSON.parse(response.choices[0].message.content || '{}');
+    if (chunks.length <= 1) {
+      return await summarizeChunk(llm, messages, channelName, names);
+    }
     
-    // Ensure the response has the expected structure
-    return {
-      summary: summaryData.summary || 'No summary available.',
-      highlights: Array.isArray(summaryData.highlights) ? summaryData.highlights : [],
-      tasks: Array.isArray(summaryData.tasks) ? summaryData.tasks : [],
-      mentions: summaryData.mentions || {},
-    };
+    logger.info(
+      { channelName, messageCount: messages.length, chunkCount: chunks.length },
+      'Message window exceeds model context, summarizing in chunks'
+    );
+    
+    // Chunks run one at a time to stay within provider rate limits
+    const parts: SummaryData[] = [];
+    for (const chunk of chunks) {
+      parts.push(await summarizeChunk(llm, chunk, channelName, names));
+    }
+    
+    const merged = mergeSummaries(parts);
+    
+    try {
+      merged.summary = await condenseRecaps(
+        llm,
+        parts.map(part => part.summary),
+        channelName,
+        chunkTokens
+      );
+    } catch (error) {
+      logger.warn({ error, channelName }, 'Failed to condense chunk recaps, using them as-is');
+    }
+    
+    return merged;
   } catch (error) {
-    logger.error({ error }, 'Error generating AI summary');
+    logger.error({ error, provider: llm.name, model: llm.model }, 'Error generating AI summary');
     throw error;
   }
 }
 
 /**
- * Generate a summary using heuristic methods (fallback when OpenAI API is not available)
+ * Generate a summary using heuristic methods (fallback when no LLM provider is configured)
  */
 function generateHeuristicSummary(
-  messages: Array<{
-    text: string;
-    ts: string;
-    thread_ts?: string;
-    permalink: string;
-    user_id: string;
-    reactions?: Record<string, string[]>;
-  }>,
+  messages: SummaryMessage[],
   channelName: string
 ): SummaryData {
   // Extract key messages based on reactions, thread starts, and mentions
@@ -277,16 +430,80 @@ function generateHeuristicSummary(
     highlights,
     tasks,
     mentions: mentionsMap,
+    // One-line thread summaries fall back to the thread's opening text
+    threads: [],
   };
 }
 
 /**
- * Generate a summary for a conversation in a specific time window
+ * Build a one-line summary for every thread with replies in the window.
+ * `parents` holds thread parents posted before the window; `lines` holds
+ * one-line summaries produced by the model, keyed by root_ts.
+ */
+export function buildThreadSummaries(
+  messages: SummaryMessage[],
+  parents: SummaryMessage[],
+  lines: SummaryData['threads'] = []
+): ThreadSummary[] {
+  const lineMap = new Map(lines.filter(l => l && l.root_ts).map(l => [l.root_ts, l.summary]));
+  const messageMap = new Map([...parents, ...messages].map(m => [m.ts, m]));
+  const threadMap = new Map<string, SummaryMessage[]>();
+  
+  messages.forEach(msg => {
+    if (msg.thread_ts && msg.ts !== msg.thread_ts) {
+      if (!threadMap.has(msg.thread_ts)) {
+        threadMap.set(msg.thread_ts, []);
+      }
+      threadMap.get(msg.thread_ts)!.push(msg);
+    }
+  });
+  
+  return [...threadMap.entries()].map(([rootTs, replies]) => {
+    const root = messageMap.get(rootTs) || replies[0];
+    const participants = new Set([root.user_id, ...replies.map(r => r.user_id)]);
+    const fallback = root.text.length > 100 ? `${root.text.slice(0, 100)}...` : root.text;
+    
+    return {
+      root_ts: rootTs,
+      permalink: root.permalink,
+      summary: (lineMap.get(rootTs) || fallback).replace(/\s+/g, ' ').trim(),
+      participant_count: participants.size,
+      reply_count: replies.length,
+    };
+  });
+}
+
+/**
+ * Render the Slack markup in a summary: the recap as mrkdwn for Block Kit, and
+ * highlights, tasks and mention contexts as plain text, since they are shown as
+ * link labels
+ */
+function renderSummaryText(summaryData: SummaryData, names: EntityNames): SummaryData {
+  const plain = (text: string) => renderSlackText(text || '', names, 'plain');
+  
+  return {
+    ...summaryData,
+    summary: renderSlackText(summaryData.summary, names, 'mrkdwn'),
+    highlights: summaryData.highlights.map(h => ({ ...h, text: plain(h.text) })),
+    tasks: summaryData.tasks.map(t => ({ ...t, title: plain(t.title) })),
+    mentions: Object.fromEntries(
+      Object.entries(summaryData.mentions).map(([userId, m]) => [
+        userId,
+        { ...m, contexts: (m.contexts || []).map(plain) },
+      ])
+    ),
+  };
+}
+
+/**
+ * Generate a summary for a conversation in a specific time window. Summaries made on
+ * demand may overlap the daily ones, so they are marked and kept out of rollups.
  */
 export async function generateSummaryForTimeWindow(
   conversationId: number,
   startTime: Date,
-  endTime: Date
+  endTime: Date,
+  { onDemand = false }: { onDemand?: boolean } = {}
 ) {
   try {
     // Get conversation details
@@ -303,10 +520,13 @@ export async function generateSummaryForTimeWindow(
     const messages = await prisma.message.findMany({
       where: {
         channel_id: conversationId,
-        createdAt: {
+        deleted_at: null,
+        posted_at: {
           gte: startTime,
           lte: endTime,
         },
+        // Bot traffic can be left out per channel with `/summarize bots off`
+        ...(conversation.summarize_bot_messages ? {} : { bot_id: null }),
       },
       orderBy: {
         ts: 'asc',
@@ -326,53 +546,93 @@ export async function generateSummaryForTimeWindow(
       'Generating summary'
     );
     
+    const summaryMessages: SummaryMessage[] = messages.map(m => ({
+      text: getSummaryText({ text: m.text, attachment_text: m.attachment_text, files: m.files as FileMetadata[] | null }),
+      ts: m.ts,
+      thread_ts: m.thread_ts || undefined,
+      permalink: m.permalink,
+      user_id: m.user_id,
+      bot_name: m.bot_id ? m.bot_name || m.bot_id : null,
+      reactions: m.reactions as unknown as Record<string, string[]> | undefined
+    }));
+    
+    // Names for the users and channels the messages mention
+    const names = await loadEntityNames(
+      summaryMessages.map(m => m.text),
+      summaryMessages.map(m => m.user_id)
+    );
+    
     // Generate the summary
     let summaryData: SummaryData;
     
     try {
-      if (openai) {
-        // Use OpenAI if available
-        summaryData = await generateAISummary(messages.map(m => ({
-          text: m.text,
-          ts: m.ts,
-          thread_ts: m.thread_ts || undefined,
-          permalink: m.permalink,
-          user_id: m.user_id,
-          reactions: m.reactions as unknown as Record<string, string[]> | undefined
-        })), conversation.name);
+      if (getLLMProvider()) {
+        // Use the configured LLM provider if available
+        summaryData = await generateAISummary(summaryMessages, conversation.name, names);
       } else {
         // Fall back to heuristic methods
-        summaryData = generateHeuristicSummary(messages.map(m => ({
-          text: m.text,
-          ts: m.ts,
-          thread_ts: m.thread_ts || undefined,
-          permalink: m.permalink,
-          user_id: m.user_id,
-          reactions: m.reactions as unknown as Record<string, string[]> | undefined
-        })), conversation.name);
+        summaryData = generateHeuristicSummary(summaryMessages, conversation.name);
       }
     } catch (error) {
       logger.error({ error }, 'Error generating summary, falling back to heuristic');
-      summaryData = generateHeuristicSummary(messages.map(m => ({
-        text: m.text,
-        ts: m.ts,
-        thread_ts: m.thread_ts || undefined,
-        permalink: m.permalink,
-        user_id: m.user_id,
-        reactions: m.reactions as unknown as Record<string, string[]> | undefined
-      })), conversation.name);
+      summaryData = generateHeuristicSummary(summaryMessages, conversation.name);
     }
     
+    // Threads with replies in the window may have started before it
+    const windowTs = new Set(summaryMessages.map(m => m.ts));
+    const missingParentTs = [
+      ...new Set(
+        summaryMessages
+          .filter(m => m.thread_ts && m.thread_ts !== m.ts && !windowTs.has(m.thread_ts))
+          .map(m => m.thread_ts as string)
+      ),
+    ];
+    const parents = missingParentTs.length > 0
+      ? await prisma.message.findMany({
+          where: {
+            channel_id: conversationId,
+            deleted_at: null,
+            ts: { in: missingParentTs },
+          },
+        })
+      : [];
+    
+    const threadSummaries = buildThreadSummaries(
+      summaryMessages,
+      parents.map(p => ({
+        text: p.text,
+        ts: p.ts,
+        thread_ts: p.thread_ts || undefined,
+        permalink: p.permalink,
+        user_id: p.user_id,
+      })),
+      summaryData.threads
+    );
+    
+    // Stored text names people instead of mentioning them, so posting it notifies no one
+    summaryData = renderSummaryText(summaryData, names);
+    threadSummaries.forEach(thread => {
+      thread.summary = renderSlackText(thread.summary, names, 'plain');
+    });
+    
+    // Track the tasks, merging with the ones earlier summaries already found
+    const tasks = await syncTasks(conversationId, summaryData.tasks);
+    
     // Store the summary
     const summary = await prisma.summary.create({
       data: {
         channel_id: conversationId,
+        team_id: conversation.team_id,
         period_start: startTime,
         period_end: endTime,
         summary: summaryData.summary,
         highlights: summaryData.highlights,
-        tasks: summaryData.tasks,
+        tasks,
         mentions: summaryData.mentions,
+        on_demand: onDemand,
+        thread_summaries: {
+          create: threadSummaries,
+        },
       },
     });
     
@@ -392,170 +652,356 @@ export async function generateSummaryForTimeWindow(
 }
 
 /**
- * Post a summary to a Slack channel using Block Kit
+ * Build the Block Kit message for a stored summary. Shareable messages (ephemeral
+ * on-demand summaries) get a button to post them to the channel.
  */
-export async function postSummaryToSlack(summaryId: number) {
-  try {
-    if (!config.DIGEST_CHANNEL) {
-      logger.warn('DIGEST_CHANNEL not configured, skipping posting summary');
-      return null;
-    }
-    
-    const summary = await prisma.summary.findUnique({
-      where: { id: summaryId },
-      include: {
-        channel: true,
+export async function buildSummaryMessage(
+  summaryId: number,
+  options: { shareable?: boolean } = {}
+) {
+  const summary = await prisma.summary.findUnique({
+    where: { id: summaryId },
+    include: {
+      channel: true,
+      thread_summaries: {
+        orderBy: { reply_count: 'desc' },
       },
-    });
-    
-    if (!summary) {
-      throw new Error(`Summary ${summaryId} not found`);
-    }
-    
-    // Build the Block Kit message
-    const blocks: any[] = [
-      {
-        type: 'header',
-        text: {
-          type: 'plain_text',
-          text: `Daily Summary: #${summary.channel.name}`,
-          emoji: true,
-        },
+    },
+  });
+  
+  if (!summary) {
+    throw new Error(`Summary ${summaryId} not found`);
+  }
+  
+  // On-demand summaries can cover any period
+  const periodHours = (summary.period_end.getTime() - summary.period_start.getTime()) / 3600000;
+  const heading = `${Math.round(periodHours) === 24 ? 'Daily Summary' : 'Summary'}: #${summary.channel.name}`;
+  
+  // Build the Block Kit message
+  const blocks: any[] = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: heading,
+        emoji: true,
       },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `*Period:* ${summary.period_start.toLocaleString()} - ${summary.period_end.toLocaleString()}`,
-        },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Period:* ${summary.period_start.toLocaleString()} - ${summary.period_end.toLocaleString()}`,
       },
-      {
-        type: 'divider',
+    },
+    {
+      type: 'divider',
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Summary*',
       },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*Summary*',
-        },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: summary.summary.substring(0, 3000), // Slack has a text limit
       },
-      {
+    },
+  ];
+  
+  // Add highlights
+  if (summary.highlights && (summary.highlights as any).length > 0) {
+    blocks.push({
+      type: 'divider',
+    });
+    
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Key Messages*',
+      },
+    });
+    
+    const highlights = summary.highlights as any as SummaryData['highlights'];
+    
+    highlights.forEach((highlight, index) => {
+      blocks.push({
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: summary.summary.substring(0, 3000), // Slack has a text limit
+          text: `${index + 1}. <${highlight.permalink}|${highlight.text.substring(0, 100)}${
+            highlight.text.length > 100 ? '...' : ''
+          }>`,
         },
+      });
+    });
+  }
+  
+  // Add threads
+  const threads = summary.thread_summaries as ThreadSummary[];
+  if (threads && threads.length > 0) {
+    blocks.push({
+      type: 'divider',
+    });
+    
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Threads*',
       },
-    ];
+    });
     
-    // Add highlights
-    if (summary.highlights && (summary.highlights as any).length > 0) {
-      blocks.push({
-        type: 'divider',
-      });
-      
+    threads.slice(0, 10).forEach(thread => {
+      const label = thread.summary.length > 150 ? `${thread.summary.substring(0, 150)}...` : thread.summary;
       blocks.push({
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: '*Key Messages*',
+          text: `• <${thread.permalink}|${label}> (${thread.reply_count} ${
+            thread.reply_count === 1 ? 'reply' : 'replies'
+          }, ${thread.participant_count} ${
+            thread.participant_count === 1 ? 'participant' : 'participants'
+          })`,
         },
       });
+    });
+  }
+  
+  // Add tasks, with their current status for the tracked ones
+  const summaryTasks = (summary.tasks || []) as unknown as SummaryData['tasks'];
+  const trackedTasks = await getTasksById(
+    summaryTasks.filter(task => task.task_id).map(task => task.task_id as number)
+  );
+  const tasks = summaryTasks
+    .map(task => {
+      const tracked = task.task_id ? trackedTasks.get(task.task_id) : undefined;
+      return tracked
+        ? {
+            ...task,
+            title: tracked.title,
+            owner_user_id: tracked.owner_user_id,
+            due_date: tracked.due_date ? tracked.due_date.toISOString() : null,
+            status: tracked.status as TaskStatus,
+          }
+        : task;
+    })
+    .filter(task => task.status !== 'dismissed');
+  
+  if (tasks.length > 0) {
+    blocks.push({
+      type: 'divider',
+    });
+    
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Action Items*',
+      },
+    });
+    
+    tasks.slice(0, MAX_MESSAGE_TASKS).forEach((task, index) => {
+      const title = task.status === 'done' ? `~${task.title}~` : task.title;
+      let taskText = `${index + 1}. <${task.source_permalink}|${title}>`;
       
-      const highlights = summary.highlights as any as SummaryData['highlights'];
+      if (task.owner_user_id) {
+        taskText += ` (Owner: <@${task.owner_user_id}>)`;
+      }
       
-      highlights.forEach((highlight, index) => {
-        blocks.push({
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `${index + 1}. <${highlight.permalink}|${highlight.text.substring(0, 100)}${
-              highlight.text.length > 100 ? '...' : ''
-            }>`,
-          },
-        });
-      });
-    }
-    
-    // Add tasks
-    if (summary.tasks && (summary.tasks as any).length > 0) {
-      blocks.push({
-        type: 'divider',
-      });
+      if (task.due_date) {
+        const dueDate = new Date(task.due_date);
+        taskText += ` (Due: ${dueDate.toLocaleDateString()})`;
+      }
+      
+      if (task.status === 'done') {
+        taskText += ' :white_check_mark:';
+      }
       
       blocks.push({
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: '*Action Items*',
+          text: taskText,
         },
       });
       
-      const tasks = summary.tasks as any as SummaryData['tasks'];
-      
-      tasks.forEach((task, index) => {
-        let taskText = `${index + 1}. <${task.source_permalink}|${task.title}>`;
-        
-        if (task.owner_user_id) {
-          taskText += ` (Owner: <@${task.owner_user_id}>)`;
-        }
-        
-        if (task.due_date) {
-          const dueDate = new Date(task.due_date);
-          taskText += ` (Due: ${dueDate.toLocaleDateString()})`;
-        }
-        
+      // Untracked tasks (from summaries stored before tracking) have no buttons
+      if (task.task_id && task.status === 'open') {
         blocks.push({
-          type: 'section',
-          text: {
+          type: 'actions',
+          block_id: `task:${summary.id}:${task.task_id}`,
+          elements: [
+            {
+              type: 'button',
+              text: {
+                type: 'plain_text',
+                text: 'Complete',
+              },
+              style: 'primary',
+              action_id: 'task_complete',
+              value: String(task.task_id),
+            },
+            {
+              type: 'users_select',
+              placeholder: {
+                type: 'plain_text',
+                text: 'Reassign',
+              },
+              action_id: 'task_reassign',
+            },
+            {
+              type: 'button',
+              text: {
+                type: 'plain_text',
+                text: 'Dismiss',
+              },
+              action_id: 'task_dismiss',
+              value: String(task.task_id),
+            },
+          ],
+        });
+      }
+    });
+    
+    if (tasks.length > MAX_MESSAGE_TASKS) {
+      blocks.push({
+        type: 'context',
+        elements: [
+          {
             type: 'mrkdwn',
-            text: taskText,
+            text: `_and ${tasks.length - MAX_MESSAGE_TASKS} more_`,
           },
-        });
+        ],
       });
     }
+  }
+  
+  // Escalate overdue tasks of the channel that this summary does not already list
+  const listedTaskIds = new Set(tasks.map(task => task.task_id).filter(Boolean));
+  const overdue = (
+    await getOverdueTasks(summary.channel_id, summary.period_end, MAX_MESSAGE_TASKS + listedTaskIds.size)
+  )
+    .filter(task => !listedTaskIds.has(task.id))
+    .slice(0, MAX_MESSAGE_TASKS);
+  
+  if (overdue.length > 0) {
+    blocks.push({
+      type: 'divider',
+    });
     
-    // Add mentions
-    const mentions = summary.mentions as any as SummaryData['mentions'];
-    if (mentions && Object.keys(mentions).length > 0) {
-      blocks.push({
-        type: 'divider',
-      });
-      
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*Mention Stats*',
-        },
+    const overdueLines = overdue.map(task => {
+      const owner = task.owner_user_id ? ` (Owner: <@${task.owner_user_id}>)` : '';
+      return `• <${task.source_permalink}|${task.title}>${owner} (Due: ${task.due_date.toLocaleDateString()})`;
+    });
+    
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*:warning: Overdue*\n${overdueLines.join('\n')}`.substring(0, 3000),
+      },
+    });
+  }
+  
+  // Add mentions
+  const mentions = summary.mentions as any as SummaryData['mentions'];
+  if (mentions && Object.keys(mentions).length > 0) {
+    blocks.push({
+      type: 'divider',
+    });
+    
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Mention Stats*',
+      },
+    });
+    
+    let mentionsText = '';
+    Object.entries(mentions)
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, 10) // Limit to top 10
+      .forEach(([userId, info]) => {
+        mentionsText += `<@${userId}>: ${info.count} mentions\n`;
       });
-      
-      let mentionsText = '';
-      Object.entries(mentions)
-        .sort((a, b) => b[1].count - a[1].count)
-        .slice(0, 10) // Limit to top 10
-        .forEach(([userId, info]) => {
-          mentionsText += `<@${userId}>: ${info.count} mentions\n`;
-        });
-      
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: mentionsText,
+    
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: mentionsText,
+      },
+    });
+  }
+  
+  if (options.shareable) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: {
+            type: 'plain_text',
+            text: 'Share to channel',
+          },
+          action_id: 'share_summary',
+          value: String(summary.id),
         },
-      });
+      ],
+    });
+  }
+  
+  return {
+    blocks,
+    text: heading,
+  };
+}
+
+/**
+ * Post a summary to a Slack channel using Block Kit, by default the digest channel
+ * of the summary's workspace
+ */
+export async function postSummaryToSlack(summaryId: number, channel?: string) {
+  try {
+    const summary = await prisma.summary.findUnique({
+      where: { id: summaryId },
+    });
+    
+    if (!summary) {
+      throw new Error(`Summary ${summaryId} not found`);
     }
     
+    const workspace = await getWorkspace(summary.team_id);
+    if (!workspace) {
+      logger.warn({ summaryId, teamId: summary.team_id }, 'Workspace not installed, skipping posting summary');
+      return null;
+    }
+
+    const target = channel || workspace.digestChannel;
+    
+    if (!target) {
+      logger.warn({ teamId: workspace.teamId }, 'No digest channel configured, skipping posting summary');
+      return null;
+    }
+    
+    const { blocks, text } = await buildSummaryMessage(summaryId);
+    
     // Send the message to Slack
-    const result = await slackClient.chat.postMessage({
-      channel: config.DIGEST_CHANNEL,
+    const result = await workspace.client.chat.postMessage({
+      channel: target,
       blocks,
-      text: `Daily Summary for #${summary.channel.name}`,
+      text,
     });
     
     logger.info(
-      { summaryId, channel: config.DIGEST_CHANNEL, ts: result.ts },
+      { summaryId, channel: target, ts: result.ts },
       'Posted summary to Slack'
     );
     
@@ -569,5 +1015,7 @@ export async function postSummaryToSlack(summaryId: number) {
 export default {
   generateSummaryForTimeWindow,
   postSummaryToSlack,
+  buildSummaryMessage,
   extractTasksHeuristic,
+  buildThreadSummaries,
 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+import prisma from './store';
+import logger from './logger';
+import type { SummaryData } from './summarize';
+import { normalizeTaskTitle, isSimilarTaskTitle } from './utils/tasks';
+
+export type TaskStatus = 'open' | 'done' | 'dismissed';
+
+/**
+ * Parse an extracted due date, ignoring values the extractor could not date
+ */
+function parseDueDate(value: string | null): Date | null {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Record the tasks extracted for a summary, matching each against the tasks already
+ * stored for its source message so heuristic and AI extraction of the same action
+ * item share one row. Tasks of other messages are never merged, even with similar
+ * titles. Returns the tasks annotated with their task ID and current status.
+ */
+export async function syncTasks(conversationId: number, tasks: SummaryData['tasks']) {
+  const synced: SummaryData['tasks'] = [];
+  const seen = new Set<number>();
+
+  for (const task of tasks) {
+    if (!task.title) {
+      continue;
+    }
+
+    try {
+      const candidates = await prisma.task.findMany({
+        where: {
+          channel_id: conversationId,
+          source_ts: task.source_ts || '',
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      // Prefer the same title, then one phrased more or less fully
+      const existing =
+        candidates.find(c => normalizeTaskTitle(c.title) === normalizeTaskTitle(task.title)) ||
+        candidates.find(c => isSimilarTaskTitle(c.title, task.title));
+
+      const dueDate = parseDueDate(task.due_date);
+      let row;
+
+      if (existing) {
+        row = await prisma.task.update({
+          where: { id: existing.id },
+          data: {
+            // Keep the most confident phrasing
+            ...(task.confidence > existing.confidence
+              ? { title: task.title, confidence: task.confidence }
+              : {}),
+            // A reassigned owner or known due date is never overwritten
+            owner_user_id: existing.owner_user_id || task.owner_user_id,
+            due_date: existing.due_date || dueDate,
+          },
+        });
+      } else {
+        row = await prisma.task.create({
+          data: {
+            channel_id: conversationId,
+            source_ts: task.source_ts || '',
+            source_permalink: task.source_permalink || '',
+            title: task.title,
+            owner_user_id: task.owner_user_id,
+            due_date: dueDate,
+            confidence: task.confidence,
+          },
+        });
+      }
+
+      if (seen.has(row.id)) {
+        continue;
+      }
+      seen.add(row.id);
+
+      synced.push({
+        ...task,
+        title: row.title,
+        owner_user_id: row.owner_user_id,
+        due_date: row.due_date ? row.due_date.toISOString() : null,
+        task_id: row.id,
+        status: row.status,
+      });
+    } catch (error) {
+      logger.error({ error, conversationId, title: task.title }, 'Failed to sync task');
+      synced.push(task);
+    }
+  }
+
+  logger.info(
+    { conversationId, extracted: tasks.length, tracked: synced.length },
+    'Synced tasks'
+  );
+
+  return synced;
+}
+
+/**
+ * Get tasks by ID, keyed by ID
+ */
+export async function getTasksById(taskIds: number[]) {
+  if (taskIds.length === 0) {
+    return new Map();
+  }
+
+  const tasks = await prisma.task.findMany({
+    where: { id: { in: taskIds } },
+  });
+
+  return new Map(tasks.map(task => [task.id, task]));
+}
+
+/**
+ * Get the open tasks owned by a user, soonest due first
+ */
+export async function getOpenTasksForOwner(userId: string, limit?: number) {
+  return prisma.task.findMany({
+    where: {
+      owner_user_id: userId,
+      status: 'open',
+    },
+    include: {
+      channel: true,
+    },
+    orderBy: [{ due_date: 'asc' }, { createdAt: 'desc' }],
+    take: limit,
+  });
+}
+
+/**
+ * Get the open tasks of a channel whose due date passed before `asOf`, oldest due first
+ */
+export async function getOverdueTasks(conversationId: number, asOf: Date, limit?: number) {
+  const tasks = await prisma.task.findMany({
+    where: {
+      channel_id: conversationId,
+      status: 'open',
+      due_date: { lt: asOf },
+    },
+    orderBy: { due_date: 'asc' },
+    take: limit,
+  });
+
+  // The filter guarantees a due date, but Prisma does not narrow the type
+  return tasks.filter((task): task is typeof task & { due_date: Date } => task.due_date !== null);
+}
+
+/**
+ * Mark a task done or dismissed, or reopen it
+ */
+export async function setTaskStatus(taskId: number, status: TaskStatus, changedBy: string) {
+  const task = await prisma.task.update({
+    where: { id: taskId },
+    data: {
+      status,
+      status_changed_by: changedBy,
+      status_changed_at: new Date(),
+    },
+  });
+
+  logger.info({ taskId, status, changedBy }, 'Updated task status');
+  return task;
+}
+
+/**
+ * Assign a task to a different owner
+ */
+export async function reassignTask(taskId: number, ownerUserId: string, changedBy: string) {
+  const task = await prisma.task.update({
+    where: { id: taskId },
+    data: {
+      owner_user_id: ownerUserId,
+      // The new owner gets their own reminders
+      reminded_before_at: null,
+      reminded_due_at: null,
+    },
+  });
+
+  logger.info({ taskId, ownerUserId, changedBy }, 'Reassigned task');
+  return task;
+}
+
+/**
+ * Hold back a task's reminders until the given time
+ */
+export async function snoozeTask(taskId: number, until: Date, changedBy: string) {
+  const task = await prisma.task.update({
+    where: { id: taskId },
+    data: {
+      snoozed_until: until,
+    },
+  });
+
+  logger.info({ taskId, until, changedBy }, 'Snoozed task');
+  return task;
+}
+
+export default {
+  syncTasks,
+  getTasksById,
+  getOpenTasksForOwner,
+  getOverdueTasks,
+  snoozeTask,
+  setTaskStatus,
+  reassignTask,
+};
@@ -6,12 +6,18 @@ import prisma from './store';
 import { ingestAllConversations } from './ingest';
 import { generateSummaryForTimeWindow, postSummaryToSlack } from './summarize';
 import { softDeleteOldMessages } from './store';
+import { runRollupTask, RollupPeriod } from './rollup';
+import { deliverSummaryToSubscribers, refreshHomeViews } from './home';
+import { runReminderTask } from './reminders';
+import { getDisabledTenants, activeConversationWhere, purgeUninstalledTenants } from './tenants';
+import { purgeCompletedJobs } from './queue';
+import { purgeExpiredEvents } from './event-dedupe';
 
 /**
  * Main task to run daily:
- * 1. Ingest new messages since the last run
+ * 1. Ingest new messages since the last run, for every installed workspace
  * 2. Generate summaries for each conversation
- * 3. Post summaries to the digest channel
+ * 3. Post summaries to each workspace's digest channel and to subscribers by DM
  */
 export async function runDailyTask() {
   try {
@@ -28,8 +34,10 @@ export async function runDailyTask() {
 
     logger.info({ from: oneDayAgo, to: now }, 'Generating summaries for time window');
 
-    // Get all conversations
-    const conversations = await prisma.conversation.findMany();
+    // Get all conversations, except those of uninstalled workspaces
+    const conversations = await prisma.conversation.findMany({
+      where: activeConversationWhere(await getDisabledTenants()),
+    });
 
     // Generate summaries for each conversation
     const summaryPromises = conversations.map(async (conversation) => {
@@ -45,18 +53,27 @@ export async function runDailyTask() {
     const summaries = (await Promise.all(summaryPromises)).filter(Boolean);
     logger.info({ count: summaries.length }, 'Generated summaries');
 
-    // 3. Post summaries to the digest channel
-    if (summaries.length > 0 && config.DIGEST_CHANNEL) {
-      logger.info({ channel: config.DIGEST_CHANNEL }, 'Posting summaries to digest channel');
+    // 3. Post summaries to the digest channel of each summary's workspace
+    for (const summary of summaries) {
+      try {
+        await postSummaryToSlack(summary!.id);
+      } catch (error) {
+        logger.error({ error, summaryId: summary!.id }, 'Failed to post summary to Slack');
+      }
+    }
 
-      for (const summary of summaries) {
-        try {
-          await postSummaryToSlack(summary!.id);
-        } catch (error) {
-          logger.error({ error, summaryId: summary!.id }, 'Failed to post summary to Slack');
-        }
+    for (const summary of summaries) {
+      try {
+        await deliverSummaryToSubscribers(summary!.id, summary!.channel_id);
+      } catch (error) {
+        logger.error({ error, summaryId: summary!.id }, 'Failed to deliver summary to subscribers');
       }
     }
+    
+    // Home tabs show tasks and mentions from the new summaries
+    if (summaries.length > 0) {
+      await refreshHomeViews();
+    }
 
     // 4. Soft delete old messages if configured
     if (config.SOFT_DELETE_DAYS) {
@@ -64,6 +81,16 @@ export async function runDailyTask() {
       await softDeleteOldMessages(config.SOFT_DELETE_DAYS);
     }
 
+    // 5. Delete completed ingestion jobs and expired event records
+    await purgeCompletedJobs();
+    await purgeExpiredEvents();
+
+    // 6. Purge the data of workspaces uninstalled longer ago than the grace period
+    if (config.UNINSTALL_PURGE_DAYS !== undefined) {
+      const purged = await purgeUninstalledTenants(config.UNINSTALL_PURGE_DAYS);
+      logger.info({ purged, days: config.UNINSTALL_PURGE_DAYS }, 'Purged uninstalled workspaces');
+    }
+
     logger.info('Completed daily scheduled task');
   } catch (error) {
     logger.error({ error }, 'Failed to run daily task');
@@ -83,6 +110,30 @@ export function initializeScheduledTasks() {
     });
   });
 
+  // Rollups are built from the stored daily summaries
+  const rollupSchedules: Array<[RollupPeriod, string]> = [
+    ['weekly', config.WEEKLY_ROLLUP_CRON],
+    ['monthly', config.MONTHLY_ROLLUP_CRON],
+  ];
+  
+  for (const [period, cronExpression] of rollupSchedules) {
+    logger.info({ period, cronExpression }, 'Scheduling rollup task');
+    
+    cron.schedule(cronExpression, () => {
+      runRollupTask(period).catch((error) => {
+        logger.error({ error, period }, 'Error in scheduled rollup task');
+      });
+    });
+  }
+
+  logger.info({ cronExpression: config.REMINDER_CRON }, 'Scheduling task reminders');
+  
+  cron.schedule(config.REMINDER_CRON, () => {
+    runReminderTask().catch((error) => {
+      logger.error({ error }, 'Error in scheduled reminder task');
+    });
+  });
+
   logger.info('Scheduled tasks initialized');
 }
 
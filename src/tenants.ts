@@ -0,0 +1,237 @@
+import { subDays } from 'date-fns';
+import prisma from './store';
+import logger from './logger';
+
+/**
+ * A workspace, or an Enterprise Grid org for org-wide installs
+ */
+export interface Tenant {
+  teamId: string | null;
+  enterpriseId: string | null;
+  isEnterpriseInstall: boolean;
+}
+
+/**
+ * Store an audit record for a tenant lifecycle step and log it
+ */
+export async function recordAudit(tenant: Tenant, action: string, details: Record<string, any> = {}) {
+  logger.info({ teamId: tenant.teamId, enterpriseId: tenant.enterpriseId, action, ...details }, 'Audit');
+
+  try {
+    await prisma.auditLog.create({
+      data: {
+        team_id: tenant.teamId,
+        enterprise_id: tenant.enterpriseId,
+        action,
+        details,
+      },
+    });
+  } catch (error) {
+    logger.error({ error, action, teamId: tenant.teamId }, 'Failed to store audit record');
+  }
+}
+
+// Stored tokens of a disabled installation, which Slack no longer accepts
+const REVOKED_TOKENS = {
+  bot_token: '',
+  bot_refresh_token: null,
+  bot_token_expires_at: null,
+  user_token: null,
+  user_refresh_token: null,
+  user_token_expires_at: null,
+};
+
+/**
+ * Disable the installation of a tenant after an uninstall or bot token revocation.
+ * Scheduled jobs skip disabled tenants, and their data is purged after the grace period.
+ */
+export async function disableInstallation(tenant: Tenant, reason: string) {
+  const now = new Date();
+
+  if (tenant.isEnterpriseInstall && tenant.enterpriseId) {
+    const result = await prisma.installation.updateMany({
+      where: { enterprise_id: tenant.enterpriseId, is_enterprise_install: true },
+      data: { disabled_at: now, disabled_reason: reason, ...REVOKED_TOKENS },
+    });
+    await recordAudit(tenant, 'installation_disabled', { reason, count: result.count });
+    return;
+  }
+
+  if (!tenant.teamId) {
+    return;
+  }
+
+  // Workspaces using SLACK_BOT_TOKEN have no installation yet, so one is recorded disabled
+  await prisma.installation.upsert({
+    where: { team_id: tenant.teamId },
+    update: { disabled_at: now, disabled_reason: reason, ...REVOKED_TOKENS },
+    create: {
+      team_id: tenant.teamId,
+      enterprise_id: tenant.enterpriseId,
+      bot_token: '',
+      bot_id: '',
+      bot_user_id: '',
+      disabled_at: now,
+      disabled_reason: reason,
+    },
+  });
+  await recordAudit(tenant, 'installation_disabled', { reason });
+}
+
+/**
+ * Clear the stored user tokens of users whose tokens were revoked
+ */
+export async function revokeUserTokens(tenant: Tenant, userIds: string[]) {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  const result = await prisma.installation.updateMany({
+    where: {
+      ...(tenant.isEnterpriseInstall
+        ? { enterprise_id: tenant.enterpriseId, is_enterprise_install: true }
+        : { team_id: tenant.teamId }),
+      user_id: { in: userIds },
+    },
+    data: { user_token: null, user_refresh_token: null, user_token_expires_at: null },
+  });
+  await recordAudit(tenant, 'user_tokens_revoked', { userIds, count: result.count });
+}
+
+/**
+ * Get the teams and orgs whose installations are disabled
+ */
+export async function getDisabledTenants() {
+  const installations = await prisma.installation.findMany({
+    where: { disabled_at: { not: null } },
+  });
+
+  return {
+    teamIds: installations.filter(i => i.team_id).map(i => i.team_id as string),
+    enterpriseIds: installations
+      .filter(i => i.is_enterprise_install && i.enterprise_id)
+      .map(i => i.enterprise_id as string),
+  };
+}
+
+/**
+ * Prisma filter for conversations not belonging to a disabled tenant
+ */
+export function activeConversationWhere(disabled: { teamIds: string[]; enterpriseIds: string[] }) {
+  return {
+    AND: [
+      { OR: [{ team_id: null }, { team_id: { notIn: disabled.teamIds } }] },
+      { OR: [{ enterprise_id: null }, { enterprise_id: { notIn: disabled.enterpriseIds } }] },
+    ],
+  };
+}
+
+/**
+ * Delete all stored data of a tenant, recording each step
+ */
+export async function purgeTenantData(tenant: Tenant) {
+  const conversations = await prisma.conversation.findMany({
+    where:
+      tenant.isEnterpriseInstall && tenant.enterpriseId
+        ? { enterprise_id: tenant.enterpriseId }
+        : { team_id: tenant.teamId },
+  });
+  const channelIds = conversations.map(c => c.id);
+  const teamIds = [...new Set(conversations.map(c => c.team_id).filter((id): id is string => !!id))];
+  if (tenant.teamId && !teamIds.includes(tenant.teamId)) {
+    teamIds.push(tenant.teamId);
+  }
+
+  await recordAudit(tenant, 'purge_started', { conversationCount: channelIds.length, teamIds });
+
+  // Children first, since messages, threads and tasks reference their conversation
+  const steps: Array<[string, () => Promise<{ count: number }>]> = [
+    ['tasks', () => prisma.task.deleteMany({ where: { channel_id: { in: channelIds } } })],
+    ['threads', () => prisma.thread.deleteMany({ where: { channel_id: { in: channelIds } } })],
+    ['messages', () => prisma.message.deleteMany({ where: { channel_id: { in: channelIds } } })],
+    ['summaries', () => prisma.summary.deleteMany({ where: { channel_id: { in: channelIds } } })],
+    [
+      'rollups',
+      () =>
+        prisma.rollup.deleteMany({
+          where: { OR: [{ channel_id: { in: channelIds } }, { team_id: { in: teamIds } }] },
+        }),
+    ],
+    ['subscriptions', () => prisma.digestSubscription.deleteMany({ where: { channel_id: { in: channelIds } } })],
+    ['conversations', () => prisma.conversation.deleteMany({ where: { id: { in: channelIds } } })],
+    [
+      'users',
+      () =>
+        prisma.user.deleteMany({
+          where:
+            tenant.isEnterpriseInstall && tenant.enterpriseId
+              ? { enterprise_id: tenant.enterpriseId }
+              : { team_id: { in: teamIds } },
+        }),
+    ],
+    ['user_settings', () => prisma.userSettings.deleteMany({ where: { team_id: { in: teamIds } } })],
+    // Queued events still hold message payloads
+    [
+      'ingestion_jobs',
+      () =>
+        prisma.ingestionJob.deleteMany({
+          where:
+            tenant.isEnterpriseInstall && tenant.enterpriseId
+              ? { OR: [{ enterprise_id: tenant.enterpriseId }, { team_id: { in: teamIds } }] }
+              : { team_id: { in: teamIds } },
+        }),
+    ],
+    ['processed_events', () => prisma.processedEvent.deleteMany({ where: { team_id: { in: teamIds } } })],
+  ];
+
+  for (const [step, run] of steps) {
+    const { count } = await run();
+    await recordAudit(tenant, 'purge_step', { step, count });
+  }
+
+  await prisma.installation.deleteMany({
+    where:
+      tenant.isEnterpriseInstall && tenant.enterpriseId
+        ? { enterprise_id: tenant.enterpriseId, is_enterprise_install: true }
+        : { team_id: tenant.teamId },
+  });
+  await recordAudit(tenant, 'purge_completed');
+}
+
+/**
+ * Purge the data of tenants disabled more than `graceDays` ago
+ */
+export async function purgeUninstalledTenants(graceDays: number) {
+  const installations = await prisma.installation.findMany({
+    where: {
+      disabled_at: { lte: subDays(new Date(), graceDays) },
+    },
+  });
+
+  for (const installation of installations) {
+    const tenant: Tenant = {
+      teamId: installation.team_id,
+      enterpriseId: installation.enterprise_id,
+      isEnterpriseInstall: installation.is_enterprise_install,
+    };
+
+    try {
+      await purgeTenantData(tenant);
+    } catch (error) {
+      logger.error({ error, teamId: tenant.teamId, enterpriseId: tenant.enterpriseId }, 'Failed to purge tenant data');
+      await recordAudit(tenant, 'purge_failed', { error: String(error) });
+    }
+  }
+
+  return installations.length;
+}
+
+export default {
+  recordAudit,
+  disableInstallation,
+  revokeUserTokens,
+  getDisabledTenants,
+  activeConversationWhere,
+  purgeTenantData,
+  purgeUninstalledTenants,
+};
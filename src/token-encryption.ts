@@ -0,0 +1,174 @@
+import fs from 'fs';
+import prisma from './store';
+import logger from './logger';
+import config from './config';
+import {
+  EncryptionKey,
+  parseEncryptionKey,
+  encryptSecret,
+  decryptSecret,
+  getEncryptionKeyId,
+} from './utils/crypto';
+
+// Installation columns holding Slack tokens
+const TOKEN_FIELDS = ['bot_token', 'bot_refresh_token', 'user_token', 'user_refresh_token'] as const;
+
+type TokenFields = Partial<Record<(typeof TOKEN_FIELDS)[number], string | null | undefined>>;
+
+// Master keys, the current key first, loaded once
+let encryptionKeys: EncryptionKey[] | undefined;
+
+/**
+ * Load the master keys from TOKEN_ENCRYPTION_KEY_FILE, or from TOKEN_ENCRYPTION_KEY
+ * and TOKEN_ENCRYPTION_PREVIOUS_KEYS. Without keys, tokens are stored in plaintext.
+ */
+export function getEncryptionKeys(): EncryptionKey[] {
+  if (encryptionKeys) {
+    return encryptionKeys;
+  }
+
+  const values = config.TOKEN_ENCRYPTION_KEY_FILE
+    ? fs
+        .readFileSync(config.TOKEN_ENCRYPTION_KEY_FILE, 'utf8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+    : [config.TOKEN_ENCRYPTION_KEY, ...(config.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '').split(',')]
+        .map(value => value?.trim())
+        .filter((value): value is string => !!value);
+
+  encryptionKeys = values.map(parseEncryptionKey);
+
+  if (encryptionKeys.length === 0) {
+    logger.warn('No token encryption key configured, Slack tokens are stored in plaintext');
+  }
+
+  return encryptionKeys;
+}
+
+/**
+ * Encrypt a token with the current key. Empty values and values without a
+ * configured key are returned unchanged.
+ */
+export function encryptToken<T extends string | null | undefined>(value: T): T {
+  const [currentKey] = getEncryptionKeys();
+
+  if (!value || !currentKey) {
+    return value;
+  }
+
+  return encryptSecret(value, currentKey) as T;
+}
+
+/**
+ * Decrypt a stored token; plaintext tokens are returned unchanged
+ */
+export function decryptToken<T extends string | null | undefined>(value: T): T {
+  if (!value) {
+    return value;
+  }
+
+  return decryptSecret(value, getEncryptionKeys()) as T;
+}
+
+/**
+ * Encrypt the token columns of installation data before it is written
+ */
+export function encryptInstallationTokens<T extends TokenFields>(data: T): T {
+  const encrypted = { ...data };
+
+  for (const field of TOKEN_FIELDS) {
+    if (encrypted[field]) {
+      encrypted[field] = encryptToken(encrypted[field]);
+    }
+  }
+
+  return encrypted;
+}
+
+/**
+ * Decrypt the token columns of a stored installation
+ */
+export function decryptInstallationTokens<T extends TokenFields>(installation: T): T;
+export function decryptInstallationTokens<T extends TokenFields>(installation: T | null): T | null;
+export function decryptInstallationTokens<T extends TokenFields>(installation: T | null): T | null {
+  if (!installation) {
+    return installation;
+  }
+
+  const decrypted = { ...installation };
+
+  for (const field of TOKEN_FIELDS) {
+    if (decrypted[field]) {
+      decrypted[field] = decryptToken(decrypted[field]);
+    }
+  }
+
+  return decrypted;
+}
+
+/**
+ * Re-encrypt the tokens of every installation with the current key, after which
+ * previous keys can be removed. Plaintext tokens are encrypted too.
+ */
+export async function rotateTokenEncryption() {
+  const [currentKey] = getEncryptionKeys();
+
+  if (!currentKey) {
+    throw new Error('Set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEY_FILE before rotating');
+  }
+
+  const installations = await prisma.installation.findMany();
+  let rotated = 0;
+
+  for (const installation of installations) {
+    const previousKeys = [
+      ...new Set(TOKEN_FIELDS.map(field => installation[field] && getEncryptionKeyId(installation[field]))),
+    ];
+
+    try {
+      await prisma.installation.update({
+        where: { id: installation.id },
+        data: encryptInstallationTokens(
+          Object.fromEntries(TOKEN_FIELDS.map(field => [field, decryptToken(installation[field])]))
+        ),
+      });
+      rotated += 1;
+
+      logger.info(
+        { installationId: installation.id, teamId: installation.team_id, previousKeys, keyId: currentKey.id },
+        'Re-encrypted installation tokens'
+      );
+    } catch (error) {
+      logger.error(
+        { error, installationId: installation.id, teamId: installation.team_id },
+        'Failed to re-encrypt installation tokens'
+      );
+    }
+  }
+
+  logger.info({ rotated, total: installations.length, keyId: currentKey.id }, 'Rotated token encryption');
+  return rotated;
+}
+
+// If this file is run directly, re-encrypt all tokens with the current key
+if (require.main === module) {
+  rotateTokenEncryption()
+    .then(() => {
+      logger.info('Token encryption key rotation complete');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error({ error }, 'Failed to rotate token encryption key');
+      process.exit(1);
+    });
+}
+
+export default {
+  getEncryptionKeys,
+  encryptToken,
+  decryptToken,
+  encryptInstallationTokens,
+  decryptInstallationTokens,
+  rotateTokenEncryption,
+};
@@ -0,0 +1,21 @@
+/**
+ * Utility functions for retrying failed work with exponential backoff
+ */
+
+/**
+ * Gets the delay before retry number `attempt` (starting at 1): `baseMs` doubled for
+ * each earlier attempt, capped at `maxMs`. A longer Retry-After from a rate limit wins.
+ */
+export function getRetryDelay(
+  attempt: number,
+  baseMs: number,
+  maxMs: number,
+  retryAfterSeconds?: number
+): number {
+  const delay = Math.min(baseMs * 2 ** Math.max(attempt - 1, 0), maxMs);
+  return retryAfterSeconds ? Math.max(delay, retryAfterSeconds * 1000) : delay;
+}
+
+export default {
+  getRetryDelay,
+};
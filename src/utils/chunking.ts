@@ -0,0 +1,192 @@
+/**
+ * Utility functions for splitting message windows into model-sized chunks
+ * and merging the partial summaries produced for each chunk
+ */
+import type { SummaryData } from '../summarize';
+import { normalizeTaskTitle } from './tasks';
+
+interface ChunkableMessage {
+  text: string;
+  ts: string;
+  thread_ts?: string;
+}
+
+// Rough allowance for the timestamp, user and reaction markup around each message
+const MESSAGE_OVERHEAD_TOKENS = 25;
+
+const MAX_MERGED_HIGHLIGHTS = 10;
+const MAX_MENTION_CONTEXTS = 5;
+
+/**
+ * Estimates the token count of a text (about four characters per token)
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimates the prompt tokens used by a single message
+ */
+export function estimateMessageTokens(message: ChunkableMessage): number {
+  return estimateTokens(message.text) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Splits messages into chunks that each fit within `maxTokens`.
+ * A thread's parent and replies stay in the same chunk unless the thread alone
+ * exceeds the budget, and chunks follow the order threads and messages started in.
+ */
+export function chunkMessages<T extends ChunkableMessage>(messages: T[], maxTokens: number): T[][] {
+  const byTs = (a: T, b: T) => parseFloat(a.ts) - parseFloat(b.ts);
+
+  // Group messages into units: a whole thread, or a single top-level message
+  const units = new Map<string, T[]>();
+  for (const message of messages) {
+    const key = message.thread_ts || message.ts;
+    if (!units.has(key)) {
+      units.set(key, []);
+    }
+    units.get(key)!.push(message);
+  }
+
+  const orderedUnits = [...units.values()]
+    .map(unit => unit.sort(byTs))
+    .sort((a, b) => byTs(a[0], b[0]));
+
+  const chunks: T[][] = [];
+  let current: T[] = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push(current.sort(byTs));
+      current = [];
+      currentTokens = 0;
+    }
+  };
+
+  for (const unit of orderedUnits) {
+    const unitTokens = unit.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+
+    if (currentTokens + unitTokens <= maxTokens) {
+      current.push(...unit);
+      currentTokens += unitTokens;
+      continue;
+    }
+
+    flush();
+
+    if (unitTokens <= maxTokens) {
+      current.push(...unit);
+      currentTokens = unitTokens;
+      continue;
+    }
+
+    // A thread larger than the budget is split in time order
+    for (const message of unit) {
+      const messageTokens = estimateMessageTokens(message);
+      if (currentTokens + messageTokens > maxTokens) {
+        flush();
+      }
+      current.push(message);
+      currentTokens += messageTokens;
+    }
+    flush();
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Merges the highlights, tasks, mentions and thread lines of partial summaries, deduplicating
+ * across chunks. The summary texts are joined in order; callers may replace the
+ * result with a condensed version.
+ */
+export function mergeSummaries(parts: SummaryData[]): SummaryData {
+  // Highlights, deduplicated by message timestamp
+  const highlights: SummaryData['highlights'] = [];
+  const seenHighlights = new Set<string>();
+  for (const part of parts) {
+    for (const highlight of part.highlights) {
+      const key = highlight.ts || highlight.permalink || highlight.text;
+      if (!seenHighlights.has(key)) {
+        seenHighlights.add(key);
+        highlights.push(highlight);
+      }
+    }
+  }
+
+  // Tasks, deduplicated by title, keeping the most confident extraction
+  const tasks: SummaryData['tasks'] = [];
+  const taskIndex = new Map<string, number>();
+  for (const part of parts) {
+    for (const task of part.tasks) {
+      const key = normalizeTaskTitle(task.title);
+      const index = taskIndex.get(key);
+
+      if (index === undefined) {
+        taskIndex.set(key, tasks.length);
+        tasks.push({ ...task });
+        continue;
+      }
+
+      const existing = tasks[index];
+      const preferred = task.confidence > existing.confidence ? task : existing;
+      tasks[index] = {
+        ...preferred,
+        owner_user_id: preferred.owner_user_id || existing.owner_user_id || task.owner_user_id,
+        due_date: preferred.due_date || existing.due_date || task.due_date,
+      };
+    }
+  }
+
+  // Mentions, with counts summed and contexts deduplicated
+  const mentions: SummaryData['mentions'] = {};
+  for (const part of parts) {
+    for (const [userId, info] of Object.entries(part.mentions)) {
+      if (!mentions[userId]) {
+        mentions[userId] = { count: 0, contexts: [] };
+      }
+      mentions[userId].count += info.count || 0;
+      for (const context of info.contexts || []) {
+        if (
+          mentions[userId].contexts.length < MAX_MENTION_CONTEXTS &&
+          !mentions[userId].contexts.includes(context)
+        ) {
+          mentions[userId].contexts.push(context);
+        }
+      }
+    }
+  }
+
+  // Thread lines, keeping the first chunk's line for threads split across chunks
+  const threads: SummaryData['threads'] = [];
+  const seenThreads = new Set<string>();
+  for (const part of parts) {
+    for (const thread of part.threads) {
+      if (thread.root_ts && !seenThreads.has(thread.root_ts)) {
+        seenThreads.add(thread.root_ts);
+        threads.push(thread);
+      }
+    }
+  }
+
+  return {
+    summary: parts
+      .map(part => part.summary)
+      .filter(Boolean)
+      .join('\n'),
+    highlights: highlights.slice(0, MAX_MERGED_HIGHLIGHTS),
+    tasks,
+    mentions,
+    threads,
+  };
+}
+
+export default {
+  estimateTokens,
+  estimateMessageTokens,
+  chunkMessages,
+  mergeSummaries,
+};
@@ -0,0 +1,106 @@
+/**
+ * Utility functions for envelope encryption of secrets: each value is encrypted with
+ * its own random data key, and the data key is encrypted with a master key
+ */
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+export interface EncryptionKey {
+  id: string;
+  key: Buffer;
+}
+
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * Parses a 256-bit master key given as base64 or 64 hex characters. The key ID is
+ * derived from the key, so encrypted values record which key they need.
+ */
+export function parseEncryptionKey(value: string): EncryptionKey {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error('Encryption keys must be 32 bytes, base64 or hex encoded');
+  }
+
+  return {
+    id: createHash('sha256').update(key).digest('hex').slice(0, 8),
+    key,
+  };
+}
+
+/**
+ * AES-256-GCM encryption, returning IV, auth tag and ciphertext in one buffer
+ */
+function seal(plaintext: Buffer, key: Buffer): Buffer {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Reverses `seal`, failing if the data was tampered with or the key is wrong
+ */
+function open(sealed: Buffer, key: Buffer): Buffer {
+  const decipher = createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Checks whether a stored value was produced by `encryptSecret`
+ */
+export function isEncrypted(value: string): boolean {
+  return value.startsWith(PREFIX);
+}
+
+/**
+ * Gets the ID of the master key an encrypted value needs, or null for plaintext
+ */
+export function getEncryptionKeyId(value: string): string | null {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypts a secret under a fresh data key, wrapped with the master key
+ */
+export function encryptSecret(plaintext: string, masterKey: EncryptionKey): string {
+  const dataKey = randomBytes(KEY_BYTES);
+  const wrappedKey = seal(dataKey, masterKey.key);
+  const payload = seal(Buffer.from(plaintext, 'utf8'), dataKey);
+
+  return `${PREFIX}${masterKey.id}:${wrappedKey.toString('base64')}:${payload.toString('base64')}`;
+}
+
+/**
+ * Decrypts a value produced by `encryptSecret` with whichever of the keys it was
+ * encrypted under. Plaintext values, stored before encryption was enabled, are
+ * returned unchanged.
+ */
+export function decryptSecret(value: string, keys: EncryptionKey[]): string {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+  const masterKey = keys.find(k => k.id === keyId);
+
+  if (!masterKey) {
+    throw new Error(`No encryption key with ID ${keyId} is configured`);
+  }
+
+  const dataKey = open(Buffer.from(wrappedKey, 'base64'), masterKey.key);
+  return open(Buffer.from(payload, 'base64'), dataKey).toString('utf8');
+}
+
+export default {
+  parseEncryptionKey,
+  isEncrypted,
+  getEncryptionKeyId,
+  encryptSecret,
+  decryptSecret,
+};
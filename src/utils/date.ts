@@ -1,6 +1,7 @@
 /**
  * Utility functions for working with dates
  */
+import * as chrono from 'chrono-node';
 
 /**
  * Creates a time window for the past 24 hours
@@ -55,6 +56,23 @@ export function getCurrentWeekWindow(): { start: Date; end: Date } {
   };
 }
 
+/**
+ * Creates a time window for the calendar month containing a date
+ */
+export function getMonthWindow(date: Date): { start: Date; end: Date } {
+  const start = new Date(date.getFullYear(), date.getMonth(), 1);
+  start.setHours(0, 0, 0, 0);
+  
+  // Day 0 of the next month is the last day of this one
+  const end = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  end.setHours(23, 59, 59, 999);
+  
+  return {
+    start,
+    end,
+  };
+}
+
 /**
  * Converts a Slack timestamp to a Date object
  */
@@ -105,11 +123,159 @@ export function createTimeWindows(
   return windows;
 }
 
+// Units accepted by relative ranges such as "last 2h" or "past 3 days"
+const RELATIVE_UNIT_MS: Record<string, number> = {
+  m: 60 * 1000,
+  h: 3600 * 1000,
+  d: 24 * 3600 * 1000,
+  w: 7 * 24 * 3600 * 1000,
+};
+
+/**
+ * Parses a single date with chrono; date-only values resolve to the start
+ * of the day, or to its end when `endOfDay` is set
+ */
+function parseDateBoundary(text: string, now: Date, endOfDay: boolean): Date | null {
+  const [result] = chrono.parse(text, now);
+  if (!result) {
+    return null;
+  }
+  
+  const date = result.start.date();
+  if (!result.start.isCertain('hour')) {
+    if (endOfDay) {
+      date.setHours(23, 59, 59, 999);
+    } else {
+      date.setHours(0, 0, 0, 0);
+    }
+  }
+  
+  return date;
+}
+
+/**
+ * Parses a time range typed by a user, such as "last 2h", "since yesterday",
+ * "2026-10-01..2026-10-07" or "last monday to friday".
+ * An empty range means the past 24 hours. Returns null if it cannot be parsed.
+ */
+export function parseTimeRange(text: string, now: Date = new Date()): { start: Date; end: Date } | null {
+  const input = text.trim();
+  
+  if (!input) {
+    const start = new Date(now);
+    start.setDate(start.getDate() - 1);
+    return { start, end: new Date(now) };
+  }
+  
+  // "last 2h", "past 30 minutes", "last 3 days"
+  const relative = input.match(/^(?:last|past)\s+(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)$/i);
+  if (relative) {
+    const unitMs = RELATIVE_UNIT_MS[relative[2][0].toLowerCase()];
+    return {
+      start: new Date(now.getTime() - parseInt(relative[1], 10) * unitMs),
+      end: new Date(now),
+    };
+  }
+  
+  // "since yesterday", "since 2026-10-01 09:00"
+  const since = input.match(/^since\s+(.+)$/i);
+  if (since) {
+    const start = parseDateBoundary(since[1], now, false);
+    return start && start < now ? { start, end: new Date(now) } : null;
+  }
+  
+  // "2026-10-01..2026-10-07"
+  const explicit = input.split('..');
+  if (explicit.length === 2) {
+    const start = parseDateBoundary(explicit[0], now, false);
+    const end = parseDateBoundary(explicit[1], now, true);
+    return start && end && start < end ? { start, end } : null;
+  }
+  
+  // Anything else chrono understands, e.g. "last monday to friday" or "yesterday"
+  const [result] = chrono.parse(input, now);
+  if (!result) {
+    return null;
+  }
+  
+  const start = result.start.date();
+  let end = result.end ? result.end.date() : new Date(now);
+  
+  // A single day without a time covers the whole day
+  if (!result.end && !result.start.isCertain('hour')) {
+    start.setHours(0, 0, 0, 0);
+    end = new Date(start);
+    end.setHours(23, 59, 59, 999);
+  } else if (result.end && !result.end.isCertain('hour')) {
+    end.setHours(23, 59, 59, 999);
+  }
+  
+  if (end > now) {
+    end = new Date(now);
+  }
+  
+  return start < end ? { start, end } : null;
+}
+
+export interface QuietHours {
+  quiet_hours_start: number | null;
+  quiet_hours_end: number | null;
+  timezone: string | null;
+}
+
+/**
+ * Gets the hour (0-23) of a date in a time zone, falling back to UTC for unknown zones
+ */
+function getHourInTimezone(date: Date, timezone: string | null): number {
+  try {
+    return parseInt(
+      new Intl.DateTimeFormat('en-US', {
+        hour: 'numeric',
+        hourCycle: 'h23',
+        timeZone: timezone || 'UTC',
+      }).format(date),
+      10
+    );
+  } catch (error) {
+    return date.getUTCHours();
+  }
+}
+
+/**
+ * Checks whether a date falls within a user's quiet hours. Ranges may wrap past
+ * midnight (e.g. 22 to 7); quiet hours are off unless both ends are set.
+ */
+export function isWithinQuietHours(date: Date, settings: QuietHours | null): boolean {
+  if (!settings || settings.quiet_hours_start === null || settings.quiet_hours_end === null) {
+    return false;
+  }
+  
+  const { quiet_hours_start: start, quiet_hours_end: end } = settings;
+  if (start === end) {
+    return false;
+  }
+  
+  const hour = getHourInTimezone(date, settings.timezone);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * Checks whether a token expiring at `expiresAt` is expired or expires within `marginMs`.
+ * Tokens without an expiry never expire.
+ */
+export function isExpiringWithin(expiresAt: Date | null, marginMs: number, now: Date = new Date()): boolean {
+  return !!expiresAt && expiresAt.getTime() - now.getTime() < marginMs;
+}
+
 export default {
   getLast24HoursWindow,
   getDayWindow,
   getCurrentWeekWindow,
+  getMonthWindow,
   slackTsToDate,
   formatDateForSlack,
   createTimeWindows,
+  parseTimeRange,
+  isWithinQuietHours,
+  isExpiringWithin,
 };
\ No newline at end of file
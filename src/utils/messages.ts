@@ -0,0 +1,181 @@
+/**
+ * Utility functions for reading the content of Slack messages beyond their text:
+ * bot identity, attachments, Block Kit blocks and shared files
+ */
+
+// Subtypes stored like regular messages; joins, topic changes and other channel
+// events are skipped
+export const STORED_SUBTYPES = ['bot_message', 'file_share', 'thread_broadcast', 'me_message'];
+
+export interface SlackMessageContent {
+  type?: string;
+  subtype?: string;
+  text?: string;
+  user?: string;
+  bot_id?: string;
+  username?: string;
+  bot_profile?: { name?: string };
+  attachments?: Array<{
+    pretext?: string;
+    author_name?: string;
+    title?: string;
+    text?: string;
+    fallback?: string;
+    fields?: Array<{ title?: string; value?: string }>;
+    footer?: string;
+  }>;
+  blocks?: any[];
+  files?: any[];
+}
+
+export interface FileMetadata {
+  id: string;
+  name: string | null;
+  title: string | null;
+  filetype: string | null;
+  mimetype: string | null;
+  size: number | null;
+  permalink: string | null;
+}
+
+// A message that is stored, which always has a user or a bot as its author
+export type StoredMessage<T extends SlackMessageContent = SlackMessageContent> = T &
+  ({ user: string } | { bot_id: string });
+
+/**
+ * Checks whether a message should be stored: posted by a user or a bot, and not a
+ * channel event
+ */
+export function isStoredMessage<T extends SlackMessageContent>(message: T): message is StoredMessage<T> {
+  if (message.type !== 'message' || !(message.user || message.bot_id)) {
+    return false;
+  }
+
+  return !message.subtype || STORED_SUBTYPES.includes(message.subtype);
+}
+
+/**
+ * Gets the ID a message is attributed to: its user, or the bot for bots posting
+ * without a bot user
+ */
+export function getMessageAuthor(message: StoredMessage): string;
+export function getMessageAuthor(message: SlackMessageContent): string | null;
+export function getMessageAuthor(message: SlackMessageContent): string | null {
+  return message.user || message.bot_id || null;
+}
+
+/**
+ * Gets the display name of the bot or integration that posted a message
+ */
+export function getBotName(message: SlackMessageContent): string | null {
+  if (!message.bot_id) {
+    return null;
+  }
+
+  return message.username || message.bot_profile?.name || null;
+}
+
+/**
+ * Text of a Block Kit text object, or of the elements of a context block
+ */
+function getBlockText(block: any): string[] {
+  switch (block?.type) {
+    case 'header':
+      return [block.text?.text];
+    case 'section':
+      return [block.text?.text, ...(block.fields || []).map((field: any) => field?.text)];
+    case 'context':
+      return (block.elements || []).map((element: any) => element?.text);
+    default:
+      // rich_text blocks repeat the message text; images and actions have none to keep
+      return [];
+  }
+}
+
+/**
+ * Extracts the text of a message's attachments and blocks, such as the details of a
+ * CI alert, one line per part. Parts repeating the message text are left out.
+ */
+export function extractAttachmentText(message: SlackMessageContent): string | null {
+  const parts: Array<string | undefined> = [];
+
+  for (const attachment of message.attachments || []) {
+    const before = parts.length;
+
+    parts.push(attachment.pretext, attachment.author_name, attachment.title, attachment.text);
+    for (const field of attachment.fields || []) {
+      parts.push(field.title && field.value ? `${field.title}: ${field.value}` : field.value);
+    }
+    parts.push(attachment.footer);
+
+    // The fallback is a plain-text version of everything above
+    if (parts.slice(before).every(part => !part)) {
+      parts.push(attachment.fallback);
+    }
+  }
+
+  for (const block of message.blocks || []) {
+    parts.push(...getBlockText(block));
+  }
+
+  const text = message.text?.trim();
+  const lines = [...new Set(parts.map(part => part?.trim()).filter((part): part is string => !!part))].filter(
+    part => part !== text
+  );
+
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * Extracts the metadata of files shared in a message. Files the app cannot see,
+ * e.g. from other workspaces, only have an ID.
+ */
+export function extractFileMetadata(message: SlackMessageContent): FileMetadata[] | null {
+  if (!message.files?.length) {
+    return null;
+  }
+
+  return message.files
+    .filter(file => file?.id)
+    .map(file => ({
+      id: file.id,
+      name: file.name || null,
+      title: file.title || null,
+      filetype: file.filetype || null,
+      mimetype: file.mimetype || null,
+      size: typeof file.size === 'number' ? file.size : null,
+      permalink: file.permalink || null,
+    }));
+}
+
+/**
+ * Combines a stored message's text, attachment text and shared files into the text
+ * summaries are built from
+ */
+export function getSummaryText(message: {
+  text: string;
+  attachment_text?: string | null;
+  files?: FileMetadata[] | null;
+}): string {
+  const files = (message.files || [])
+    .map(file => [file.title || file.name, file.filetype].filter(Boolean).join(', '))
+    .filter(Boolean);
+
+  return [
+    message.text,
+    message.attachment_text,
+    files.length > 0 ? `[shared files: ${files.join('; ')}]` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+export default {
+  STORED_SUBTYPES,
+  isStoredMessage,
+  getMessageAuthor,
+  getBotName,
+  extractAttachmentText,
+  extractFileMetadata,
+  getSummaryText,
+};
@@ -0,0 +1,161 @@
+/**
+ * Utility functions for Slack's mrkdwn markup: resolving user, channel and special
+ * mentions, links and HTML entities into plain text for prompts, or into mrkdwn
+ * that can be posted without notifying anyone
+ */
+
+export interface EntityNames {
+  // Display names by Slack user ID
+  users: Record<string, string>;
+  // Channel names by Slack channel ID
+  channels: Record<string, string>;
+}
+
+export type TextFormat = 'plain' | 'mrkdwn';
+
+// Entities are wrapped in angle brackets, e.g. <@U123>, <#C123|general> or <https://x|label>
+const ENTITY_PATTERN = /<([^<>\n]+)>/g;
+
+const EMOJI_PATTERN = /:([a-z0-9_+'-]+):/g;
+
+// Unicode for emoji common in work chat; other shortcodes are left as they are
+const EMOJI: Record<string, string> = {
+  '+1': '👍',
+  thumbsup: '👍',
+  '-1': '👎',
+  thumbsdown: '👎',
+  white_check_mark: '✅',
+  heavy_check_mark: '✔️',
+  x: '❌',
+  warning: '⚠️',
+  rotating_light: '🚨',
+  red_circle: '🔴',
+  large_green_circle: '🟢',
+  tada: '🎉',
+  eyes: '👀',
+  fire: '🔥',
+  rocket: '🚀',
+  bug: '🐛',
+  pray: '🙏',
+  raised_hands: '🙌',
+  heart: '❤️',
+  smile: '😄',
+  slightly_smiling_face: '🙂',
+  thinking_face: '🤔',
+  question: '❓',
+  exclamation: '❗',
+  memo: '📝',
+  calendar: '📆',
+  hourglass: '⌛',
+};
+
+/**
+ * Escapes text for inclusion in mrkdwn
+ */
+export function escapeMrkdwn(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Reverses Slack's escaping of &, < and >
+ */
+function unescapeEntities(text: string): string {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Collects the user and channel IDs referenced by mentions in the texts
+ */
+export function collectEntityIds(texts: string[]): { users: string[]; channels: string[] } {
+  const users = new Set<string>();
+  const channels = new Set<string>();
+
+  for (const text of texts) {
+    for (const [, entity] of (text || '').matchAll(ENTITY_PATTERN)) {
+      const id = entity.slice(1).split('|')[0];
+
+      if (entity.startsWith('@')) {
+        users.add(id);
+      } else if (entity.startsWith('#')) {
+        channels.add(id);
+      }
+    }
+  }
+
+  return { users: [...users], channels: [...channels] };
+}
+
+/**
+ * Render one entity, given without its angle brackets
+ */
+function renderEntity(entity: string, names: EntityNames, format: TextFormat): string {
+  const [target, label] = entity.split('|', 2);
+  const mention = (text: string) => (format === 'plain' ? unescapeEntities(text) : escapeMrkdwn(unescapeEntities(text)));
+
+  // Users are named rather than mentioned, so posting the text notifies no one
+  if (target.startsWith('@')) {
+    return mention(`@${names.users[target.slice(1)] || label || 'unknown user'}`);
+  }
+
+  // Channel links notify no one, so mrkdwn keeps them
+  if (target.startsWith('#')) {
+    return format === 'mrkdwn' ? `<${target}>` : `#${names.channels[target.slice(1)] || label || 'unknown channel'}`;
+  }
+
+  if (target.startsWith('!')) {
+    const [command] = target.slice(1).split('^');
+
+    if (['here', 'channel', 'everyone'].includes(command)) {
+      return `@${command}`;
+    }
+
+    // User groups, e.g. <!subteam^S123|@dev-team>; dates carry their fallback text as the label
+    if (command === 'subteam') {
+      return mention(label || '@group');
+    }
+
+    return label ? mention(label) : '';
+  }
+
+  // Links
+  if (format === 'mrkdwn') {
+    return `<${entity}>`;
+  }
+
+  const url = unescapeEntities(target);
+  if (!label || url.startsWith('mailto:')) {
+    return label ? unescapeEntities(label) : url.replace(/^mailto:/, '');
+  }
+
+  const text = unescapeEntities(label);
+  return text === url || url.endsWith(`//${text}`) ? url : `${text} (${url})`;
+}
+
+/**
+ * Renders Slack message text with user, channel and special mentions resolved to
+ * names. Plain text has links unwrapped, entities unescaped and common emoji
+ * shortcodes converted, for prompts and link labels. Mrkdwn keeps links and
+ * formatting for Block Kit but mentions nobody.
+ */
+export function renderSlackText(text: string, names: EntityNames, format: TextFormat): string {
+  const renderText = (segment: string) =>
+    format === 'mrkdwn'
+      ? segment
+      : unescapeEntities(segment).replace(EMOJI_PATTERN, (shortcode, name: string) => EMOJI[name] || shortcode);
+
+  let rendered = '';
+  let last = 0;
+
+  for (const match of (text || '').matchAll(ENTITY_PATTERN)) {
+    rendered += renderText(text.slice(last, match.index)) + renderEntity(match[1], names, format);
+    last = (match.index as number) + match[0].length;
+  }
+
+  return rendered + renderText((text || '').slice(last));
+}
+
+export default {
+  escapeMrkdwn,
+  collectEntityIds,
+  renderSlackText,
+};
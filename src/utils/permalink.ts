@@ -0,0 +1,30 @@
+/**
+ * Utility functions for building Slack message permalinks without calling
+ * chat.getPermalink
+ */
+
+/**
+ * Builds the permalink of a message from its workspace's domain, e.g. "acme" for
+ * acme.slack.com. Replies link into their thread. Without a domain the link goes
+ * through slack.com, which redirects signed-in users to their workspace.
+ */
+export function buildPermalink(domain: string | null | undefined, channelId: string, ts: string, threadTs?: string | null) {
+  const host = domain ? `https://${domain}.slack.com` : 'https://slack.com';
+  const link = `${host}/archives/${channelId}/p${ts.replace('.', '')}`;
+
+  return threadTs && threadTs !== ts ? `${link}?thread_ts=${threadTs}&cid=${channelId}` : link;
+}
+
+/**
+ * Gets the workspace domain from a workspace URL such as auth.test returns, e.g.
+ * "acme" for https://acme.slack.com/. Returns null for other URLs.
+ */
+export function getDomainFromUrl(url: string | null | undefined): string | null {
+  const match = url ? /^https:\/\/([a-z0-9-]+)\.slack\.com\/?$/i.exec(url) : null;
+  return match ? match[1].toLowerCase() : null;
+}
+
+export default {
+  buildPermalink,
+  getDomainFromUrl,
+};
@@ -0,0 +1,30 @@
+/**
+ * Utility functions for running async work with bounded concurrency
+ */
+
+/**
+ * Maps items through `fn`, running at most `limit` calls at a time. Results keep the
+ * order of the items. Items are started in order as earlier calls finish.
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+export default {
+  mapWithConcurrency,
+};
@@ -0,0 +1,202 @@
+/**
+ * Utility functions for Slack Web API rate limits: the tier of each method, a token
+ * bucket that spaces out calls to stay within a tier, and a web client that waits for
+ * its bucket before each call. Nothing here reads the app's configuration, so the
+ * scripts share this implementation with the app.
+ */
+import { createHash } from 'crypto';
+import { WebClient, WebClientEvent, WebClientOptions, WebAPICallOptions } from '@slack/web-api';
+
+export type RateLimitTier = 'tier1' | 'tier2' | 'tier3' | 'tier4' | 'postMessage' | 'limitedHistory';
+
+// Calls per minute and burst size for each tier, from https://api.slack.com/apis/rate-limits
+export const TIER_LIMITS: Record<RateLimitTier, { perMinute: number; burst: number }> = {
+  tier1: { perMinute: 1, burst: 1 },
+  tier2: { perMinute: 20, burst: 3 },
+  tier3: { perMinute: 50, burst: 8 },
+  tier4: { perMinute: 100, burst: 16 },
+  // chat.postMessage allows about one message per second per channel
+  postMessage: { perMinute: 60, burst: 3 },
+  // conversations.history and .replies for commercially distributed non-Marketplace apps
+  limitedHistory: { perMinute: 1, burst: 1 },
+};
+
+// Tiers of the methods the app calls; other methods are assumed to be Tier 3
+const METHOD_TIERS: Record<string, RateLimitTier> = {
+  'auth.teams.list': 'tier2',
+  'auth.test': 'tier4',
+  'chat.postEphemeral': 'tier4',
+  'chat.postMessage': 'postMessage',
+  'chat.update': 'tier3',
+  'conversations.history': 'tier3',
+  'conversations.info': 'tier3',
+  'conversations.list': 'tier2',
+  'conversations.members': 'tier4',
+  'conversations.open': 'tier3',
+  'conversations.replies': 'tier3',
+  'oauth.v2.access': 'tier4',
+  'team.info': 'tier3',
+  'users.info': 'tier4',
+  'users.list': 'tier2',
+  'views.publish': 'tier4',
+};
+
+const LIMITED_HISTORY_METHODS = ['conversations.history', 'conversations.replies'];
+
+/**
+ * Gets the rate limit tier of a Web API method. Apps distributed outside the Slack
+ * Marketplace get a much lower limit for reading history.
+ */
+export function getMethodTier(method: string, nonMarketplaceApp = false): RateLimitTier {
+  if (nonMarketplaceApp && LIMITED_HISTORY_METHODS.includes(method)) {
+    return 'limitedHistory';
+  }
+
+  return METHOD_TIERS[method] || 'tier3';
+}
+
+/**
+ * Token bucket refilled at a steady rate. Callers reserve a token and wait the
+ * returned time before calling, so concurrent callers queue up in order.
+ */
+export class TokenBucket {
+  private tokens: number;
+  private updatedAt: number;
+  private readonly refillPerMs: number;
+
+  constructor(
+    private readonly capacity: number,
+    perMinute: number,
+    now: number = Date.now()
+  ) {
+    this.tokens = capacity;
+    this.updatedAt = now;
+    this.refillPerMs = perMinute / 60000;
+  }
+
+  private refill(now: number) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = Math.max(this.updatedAt, now);
+  }
+
+  /**
+   * Take a token, returning how many milliseconds to wait before using it
+   */
+  reserve(now: number = Date.now()): number {
+    this.refill(now);
+    this.tokens -= 1;
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.refillPerMs);
+  }
+
+  /**
+   * Hold back all tokens for `ms`, after Slack rate limited a call anyway
+   */
+  pause(ms: number, now: number = Date.now()) {
+    this.refill(now);
+    this.tokens = Math.min(this.tokens, 0) - ms * this.refillPerMs;
+  }
+}
+
+export interface RateLimiterOptions {
+  // Apps distributed outside the Slack Marketplace, see getMethodTier
+  nonMarketplaceApp?: boolean;
+  // Called for every call once its wait is known, before waiting
+  onAcquire?: (call: { method: string; tier: RateLimitTier; waitMs: number }) => void;
+  // Called when Slack rate limited a call anyway
+  onRateLimited?: (call: { method: string; tier: RateLimitTier; retryAfterSeconds: number }) => void;
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token buckets of the calls made through one or more clients: one bucket per
+ * workspace and method (and channel, for chat.postMessage), as Slack counts them
+ */
+export class RateLimiter {
+  private readonly buckets = new Map<string, TokenBucket>();
+
+  constructor(private readonly options: RateLimiterOptions = {}) {}
+
+  getTier(method: string) {
+    return getMethodTier(method, this.options.nonMarketplaceApp);
+  }
+
+  /**
+   * Wait until a call to `method` fits within its tier's rate limit for the workspace
+   */
+  async acquire(workspaceKey: string, method: string, channel?: unknown) {
+    const tier = this.getTier(method);
+    const key =
+      tier === 'postMessage' && typeof channel === 'string'
+        ? `${workspaceKey}:${method}:${channel}`
+        : `${workspaceKey}:${method}`;
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      const { burst, perMinute } = TIER_LIMITS[tier];
+      bucket = new TokenBucket(burst, perMinute);
+      this.buckets.set(key, bucket);
+    }
+
+    const waitMs = bucket.reserve();
+    this.options.onAcquire?.({ method, tier, waitMs });
+
+    if (waitMs > 0) {
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Hold back calls to `method` after Slack rate limited one anyway, e.g. because
+   * another process shares the workspace's limit
+   */
+  recordRateLimited(workspaceKey: string, method: string, retryAfterSeconds: number) {
+    const prefix = `${workspaceKey}:${method}`;
+
+    for (const [key, bucket] of this.buckets) {
+      if (key === prefix || key.startsWith(`${prefix}:`)) {
+        bucket.pause(retryAfterSeconds * 1000);
+      }
+    }
+
+    this.options.onRateLimited?.({ method, tier: this.getTier(method), retryAfterSeconds });
+  }
+}
+
+/**
+ * Web client that waits for its rate limiter before each call. Clients sharing a
+ * limiter and workspace share its buckets.
+ */
+export class RateLimitedWebClient extends WebClient {
+  private readonly limiterKey: string;
+
+  constructor(
+    private readonly limiter: RateLimiter,
+    token?: string,
+    options?: WebClientOptions,
+    limiterKey?: string
+  ) {
+    super(token, options);
+    // Keyed by a hash of the token unless the caller names the workspace, so keys never expose tokens
+    this.limiterKey = limiterKey || createHash('sha256').update(token || '').digest('hex').slice(0, 12);
+
+    this.on(WebClientEvent.RATE_LIMITED, (retryAfter: number, { url }: { url: string }) => {
+      this.limiter.recordRateLimited(this.limiterKey, url, retryAfter);
+    });
+  }
+
+  async apiCall(method: string, options: WebAPICallOptions = {}) {
+    // Org-wide tokens are limited per workspace they call into
+    const workspaceKey = options.team_id ? `${this.limiterKey}/${options.team_id}` : this.limiterKey;
+    await this.limiter.acquire(workspaceKey, method, options.channel);
+    return super.apiCall(method, options);
+  }
+}
+
+export default {
+  TIER_LIMITS,
+  getMethodTier,
+  TokenBucket,
+  RateLimiter,
+  RateLimitedWebClient,
+};
@@ -0,0 +1,37 @@
+/**
+ * Utility functions for comparing extracted task titles
+ */
+
+/**
+ * Normalizes a task title so the same action item phrased slightly differently matches
+ */
+export function normalizeTaskTitle(title: string): string {
+  return title
+    .toLowerCase()
+    .replace(/<@[a-z0-9]+>/g, ' ')
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether two task titles describe the same action item: equal once normalized, or
+ * one containing the other as whole words ("review the PR" and "review the PR by
+ * Friday"). Titles that only share some words, like "deploy to staging" and "deploy
+ * to production", are different tasks.
+ */
+export function isSimilarTaskTitle(a: string, b: string): boolean {
+  const x = normalizeTaskTitle(a);
+  const y = normalizeTaskTitle(b);
+
+  if (!x || !y) {
+    return false;
+  }
+
+  return x === y || ` ${x} `.includes(` ${y} `) || ` ${y} `.includes(` ${x} `);
+}
+
+export default {
+  normalizeTaskTitle,
+  isSimilarTaskTitle,
+};
@@ -0,0 +1,96 @@
+/**
+ * Utility functions for finding themes that recur across summaries
+ */
+
+export interface RecurringTheme {
+  theme: string;
+  occurrences: number;
+}
+
+// Common words, plus words every summary uses, that never make a theme
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'done',
+  'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how',
+  'if', 'in', 'into', 'is', 'it', 'its', 'just', 'let', 'like', 'more', 'most', 'need', 'needs',
+  'new', 'no', 'not', 'now', 'of', 'on', 'one', 'or', 'other', 'our', 'out', 'over', 'please',
+  'she', 'should', 'so', 'some', 'still', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'to', 'too', 'up', 'us', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'would', 'yes', 'you',
+  'your', 'today', 'tomorrow', 'yesterday', 'team', 'channel', 'channels', 'message',
+  'messages', 'thread', 'threads', 'summary', 'period', 'total', 'key', 'unique',
+  'participants', 'active', 'discussed', 'discussion', 'mentioned', 'shared', 'asked',
+]);
+
+/**
+ * Splits a text into lowercase word tokens, dropping Slack markup and URLs
+ */
+function tokenize(text: string): string[] {
+  return text
+    .toLowerCase()
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[^a-z0-9-]+/)
+    .map(token => token.replace(/^-+|-+$/g, ''))
+    .filter(token => token.length > 2 && !/^\d+$/.test(token));
+}
+
+/**
+ * Finds words and two-word phrases that appear in at least `minOccurrences`
+ * of the documents (e.g. daily summaries), most frequent first
+ */
+export function extractRecurringThemes(
+  documents: string[],
+  limit: number = 5,
+  minOccurrences: number = 2
+): RecurringTheme[] {
+  const counts = new Map<string, number>();
+
+  for (const document of documents) {
+    const tokens = tokenize(document);
+    const terms = new Set<string>();
+
+    tokens.forEach((token, i) => {
+      if (STOP_WORDS.has(token)) {
+        return;
+      }
+      terms.add(token);
+
+      const next = tokens[i + 1];
+      if (next && !STOP_WORDS.has(next)) {
+        terms.add(`${token} ${next}`);
+      }
+    });
+
+    // Count each term once per document
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  }
+
+  const candidates = [...counts.entries()]
+    .filter(([, count]) => count >= minOccurrences)
+    // Prefer phrases over single words at the same frequency
+    .sort((a, b) => b[1] - a[1] || b[0].split(' ').length - a[0].split(' ').length || a[0].localeCompare(b[0]));
+
+  const themes: RecurringTheme[] = [];
+  for (const [theme, occurrences] of candidates) {
+    if (themes.length >= limit) {
+      break;
+    }
+
+    // Skip words already covered by a chosen phrase, and phrases of chosen words, at the same frequency
+    const covered = themes.some(
+      t =>
+        t.occurrences === occurrences &&
+        (t.theme.split(' ').includes(theme) || theme.split(' ').includes(t.theme))
+    );
+    if (!covered) {
+      themes.push({ theme, occurrences });
+    }
+  }
+
+  return themes;
+}
+
+export default {
+  extractRecurringThemes,
+};
@@ -0,0 +1,98 @@
+/**
+ * Utility functions for reading ZIP archives such as Slack workspace exports, using
+ * yauzl. Only the central directory is read up front; each entry is read from disk
+ * when needed, so archives larger than memory and ZIP64 archives can be imported.
+ */
+import yauzl, { Entry, ZipFile } from 'yauzl';
+
+export interface ZipEntry {
+  name: string;
+  size: number;
+  read(): Promise<Buffer>;
+}
+
+export interface ZipArchive {
+  entries: ZipEntry[];
+  close(): void;
+}
+
+const OPTIONS = { lazyEntries: true, autoClose: false };
+
+/**
+ * Decompress one entry into memory
+ */
+function readEntry(zipfile: ZipFile, entry: Entry): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error || !stream) {
+        reject(error || new Error(`Cannot read ZIP entry ${entry.fileName}`));
+        return;
+      }
+
+      const chunks: Buffer[] = [];
+      stream.on('data', (chunk: Buffer) => chunks.push(chunk));
+      stream.once('end', () => resolve(Buffer.concat(chunks)));
+      stream.once('error', reject);
+    });
+  });
+}
+
+/**
+ * List the files of an opened archive; directories are skipped
+ */
+function listEntries(zipfile: ZipFile): Promise<ZipArchive> {
+  return new Promise((resolve, reject) => {
+    const entries: ZipEntry[] = [];
+
+    zipfile.on('entry', (entry: Entry) => {
+      if (!entry.fileName.endsWith('/')) {
+        entries.push({
+          name: entry.fileName,
+          size: entry.uncompressedSize,
+          read: () => readEntry(zipfile, entry),
+        });
+      }
+      zipfile.readEntry();
+    });
+    zipfile.once('end', () => resolve({ entries, close: () => zipfile.close() }));
+    zipfile.once('error', reject);
+    zipfile.readEntry();
+  });
+}
+
+/**
+ * Open a ZIP archive on disk. Close it once its entries have been read.
+ */
+export function openZipFile(archivePath: string): Promise<ZipArchive> {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, OPTIONS, (error, zipfile) => {
+      if (error || !zipfile) {
+        reject(error || new Error(`Cannot open ZIP archive ${archivePath}`));
+        return;
+      }
+
+      listEntries(zipfile).then(resolve, reject);
+    });
+  });
+}
+
+/**
+ * Open a ZIP archive held in memory
+ */
+export function openZipBuffer(archive: Buffer): Promise<ZipArchive> {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(archive, OPTIONS, (error, zipfile) => {
+      if (error || !zipfile) {
+        reject(error || new Error('Cannot open ZIP archive'));
+        return;
+      }
+
+      listEntries(zipfile).then(resolve, reject);
+    });
+  });
+}
+
+export default {
+  openZipFile,
+  openZipBuffer,
+};
@@ -0,0 +1,518 @@
+import { WebClient, WebAPICallOptions } from '@slack/web-api';
+import { RateLimitedWebClient, createSlackClient } from './rate-limiter';
+import prisma from './store';
+import logger from './logger';
+import config from './config';
+import { slackClient } from './slack';
+import { isExpiringWithin } from './utils/date';
+import { getDomainFromUrl } from './utils/permalink';
+import { encryptInstallationTokens, decryptInstallationTokens } from './token-encryption';
+
+/**
+ * A workspace the app is installed in, with a client using that workspace's bot token.
+ * Workspaces of an Enterprise Grid org with an org-wide install share the org's token.
+ */
+export interface Workspace {
+  teamId: string | null;
+  teamName: string;
+  enterpriseId: string | null;
+  isEnterpriseInstall: boolean;
+  client: WebClient;
+  digestChannel?: string;
+}
+
+interface StoredInstallation {
+  id: number;
+  team_id: string | null;
+  disabled_at: Date | null;
+  team_name: string | null;
+  enterprise_id: string | null;
+  is_enterprise_install: boolean;
+  bot_token: string;
+  bot_refresh_token: string | null;
+  bot_token_expires_at: Date | null;
+  user_refresh_token: string | null;
+  user_token_expires_at: Date | null;
+  digest_channel: string | null;
+  incoming_webhook_channel_id: string | null;
+}
+
+/**
+ * Web client whose token is replaced when a rotating token is refreshed, so clients
+ * already handed out keep working
+ */
+class InstallationClient extends RateLimitedWebClient {
+  private currentToken: string;
+
+  constructor(installationId: number, token: string) {
+    // Rate limits follow the installation across token refreshes
+    super(undefined, undefined, `installation:${installationId}`);
+    this.currentToken = token;
+  }
+
+  setToken(token: string) {
+    this.currentToken = token;
+  }
+
+  apiCall(method: string, options: WebAPICallOptions = {}) {
+    return super.apiCall(method, { token: this.currentToken, ...options });
+  }
+}
+
+// One client per installation, so retries and rate-limit handling are shared
+const clientCache = new Map<number, InstallationClient>();
+
+// Rotating tokens are refreshed when they expire within this window
+const TOKEN_REFRESH_MARGIN_MS = 2 * 3600 * 1000;
+
+// Token refreshes in progress, by installation, so concurrent callers share one
+const tokenRefreshes = new Map<number, Promise<any>>();
+
+// Workspaces of each Enterprise Grid org, refreshed hourly
+const orgTeamsCache = new Map<string, { teams: Array<{ id: string; name: string }>; timestamp: number }>();
+const ORG_TEAMS_CACHE_TTL = 3600 * 1000;
+
+// Team of the SLACK_BOT_TOKEN workspace, looked up once
+let legacyTeam: { id: string; name: string } | null | undefined;
+
+// Workspace domain lookups by team, for building permalinks; domains are stored on
+// installations too. Failed lookups are retried after DOMAIN_RETRY_MS.
+const teamDomains = new Map<string, Promise<string | null>>();
+const DOMAIN_RETRY_MS = 3600 * 1000;
+
+/**
+ * Get the web client for an installation's bot token
+ */
+function getClientForInstallation(installation: StoredInstallation): WebClient {
+  let client = clientCache.get(installation.id);
+
+  if (!client) {
+    client = new InstallationClient(installation.id, installation.bot_token);
+    clientCache.set(installation.id, client);
+  }
+
+  return client;
+}
+
+/**
+ * Exchange a refresh token for a new access token
+ */
+async function requestTokenRefresh(refreshToken: string) {
+  const response = await createSlackClient().oauth.v2.access({
+    client_id: config.SLACK_CLIENT_ID,
+    client_secret: config.SLACK_CLIENT_SECRET,
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+  });
+
+  return {
+    token: response.access_token as string,
+    refreshToken: response.refresh_token as string,
+    expiresAt: new Date(Date.now() + (response.expires_in as number) * 1000),
+  };
+}
+
+/**
+ * Refresh the rotating bot and user tokens of an installation that expire soon and
+ * store them. Installations without token rotation are returned unchanged.
+ */
+export async function refreshInstallationTokens<T extends StoredInstallation>(installation: T): Promise<T> {
+  const refreshBot =
+    !!installation.bot_refresh_token &&
+    isExpiringWithin(installation.bot_token_expires_at, TOKEN_REFRESH_MARGIN_MS);
+  const refreshUser =
+    !!installation.user_refresh_token &&
+    isExpiringWithin(installation.user_token_expires_at, TOKEN_REFRESH_MARGIN_MS);
+
+  if (!refreshBot && !refreshUser) {
+    return installation;
+  }
+
+  const pending = tokenRefreshes.get(installation.id);
+  if (pending) {
+    return pending;
+  }
+
+  const refresh = (async () => {
+    const data: Record<string, any> = {};
+
+    if (refreshBot) {
+      const bot = await requestTokenRefresh(installation.bot_refresh_token as string);
+      data.bot_token = bot.token;
+      data.bot_refresh_token = bot.refreshToken;
+      data.bot_token_expires_at = bot.expiresAt;
+    }
+
+    if (refreshUser) {
+      try {
+        const user = await requestTokenRefresh(installation.user_refresh_token as string);
+        data.user_token = user.token;
+        data.user_refresh_token = user.refreshToken;
+        data.user_token_expires_at = user.expiresAt;
+      } catch (error) {
+        // The bot token is what ingestion needs; the user token is retried next time
+        logger.error({ error, installationId: installation.id }, 'Failed to refresh user token');
+      }
+    }
+
+    const updated = decryptInstallationTokens(
+      await prisma.installation.update({
+        where: { id: installation.id },
+        data: encryptInstallationTokens(data),
+      })
+    );
+
+    clientCache.get(installation.id)?.setToken(updated.bot_token);
+    logger.info(
+      { installationId: installation.id, teamId: installation.team_id, expiresAt: updated.bot_token_expires_at },
+      'Refreshed rotating tokens'
+    );
+
+    // Keep any fields the caller loaded beyond the stored installation
+    return { ...installation, ...updated };
+  })();
+
+  tokenRefreshes.set(installation.id, refresh);
+
+  try {
+    return await refresh;
+  } finally {
+    tokenRefreshes.delete(installation.id);
+  }
+}
+
+/**
+ * Refresh the rotating tokens of every active installation that expire soon.
+ * Returns the number of installations refreshed.
+ */
+export async function refreshExpiringTokens() {
+  const installations = await prisma.installation.findMany({
+    where: {
+      disabled_at: null,
+      OR: [{ bot_refresh_token: { not: null } }, { user_refresh_token: { not: null } }],
+    },
+  });
+
+  let refreshed = 0;
+
+  for (const stored of installations) {
+    const installation = decryptInstallationTokens(stored);
+
+    try {
+      if ((await refreshInstallationTokens(installation)) !== installation) {
+        refreshed += 1;
+      }
+    } catch (error) {
+      logger.error({ error, installationId: installation.id, teamId: installation.team_id }, 'Failed to refresh tokens');
+    }
+  }
+
+  return refreshed;
+}
+
+/**
+ * Refresh an installation's tokens if they expire soon, keeping the current tokens
+ * if the refresh fails
+ */
+export async function withFreshTokens<T extends StoredInstallation>(installation: T): Promise<T> {
+  try {
+    return await refreshInstallationTokens(installation);
+  } catch (error) {
+    logger.error({ error, installationId: installation.id, teamId: installation.team_id }, 'Failed to refresh tokens');
+    return installation;
+  }
+}
+
+/**
+ * Look up the team of the single-workspace SLACK_BOT_TOKEN, if configured
+ */
+async function getLegacyTeam() {
+  if (legacyTeam !== undefined) {
+    return legacyTeam;
+  }
+
+  if (!config.SLACK_BOT_TOKEN) {
+    legacyTeam = null;
+    return legacyTeam;
+  }
+
+  try {
+    const auth = await slackClient.auth.test();
+    legacyTeam = { id: auth.team_id as string, name: (auth.team as string) || 'Slack' };
+  } catch (error) {
+    logger.error({ error }, 'Failed to look up the SLACK_BOT_TOKEN workspace');
+    return null;
+  }
+
+  return legacyTeam;
+}
+
+/**
+ * List the workspaces an org-wide installation has been granted access to
+ */
+async function listOrgTeams(installation: StoredInstallation) {
+  const enterpriseId = installation.enterprise_id as string;
+  const cached = orgTeamsCache.get(enterpriseId);
+
+  if (cached && Date.now() - cached.timestamp < ORG_TEAMS_CACHE_TTL) {
+    return cached.teams;
+  }
+
+  const client = getClientForInstallation(installation);
+  const teams: Array<{ id: string; name: string }> = [];
+  let cursor: string | undefined;
+
+  do {
+    const response = await client.auth.teams.list({ cursor, limit: 100 });
+    teams.push(...((response.teams || []) as Array<{ id: string; name: string }>));
+    cursor = response.response_metadata?.next_cursor || undefined;
+  } while (cursor);
+
+  orgTeamsCache.set(enterpriseId, { teams, timestamp: Date.now() });
+  return teams;
+}
+
+/**
+ * Build a workspace from a stored installation; org-wide installations pass the team.
+ * DIGEST_CHANNEL is only a default for the SLACK_BOT_TOKEN workspace, so callers look
+ * up the legacy team first.
+ */
+function toWorkspace(installation: StoredInstallation, team?: { id: string; name: string }): Workspace {
+  const teamId = team?.id || installation.team_id;
+
+  return {
+    teamId,
+    teamName: team?.name || installation.team_name || '',
+    enterpriseId: installation.enterprise_id,
+    isEnterpriseInstall: installation.is_enterprise_install,
+    client: getClientForInstallation(installation),
+    digestChannel:
+      installation.digest_channel ||
+      installation.incoming_webhook_channel_id ||
+      (teamId && legacyTeam?.id === teamId ? config.DIGEST_CHANNEL : undefined),
+  };
+}
+
+/**
+ * Build the workspace for the SLACK_BOT_TOKEN
+ */
+function toLegacyWorkspace(teamId: string | null, teamName: string): Workspace {
+  return {
+    teamId,
+    teamName,
+    enterpriseId: null,
+    isEnterpriseInstall: false,
+    client: slackClient,
+    digestChannel: config.DIGEST_CHANNEL,
+  };
+}
+
+/**
+ * Look up a workspace's domain: from its installation, from the workspace URL that
+ * auth.test returns for the token's own workspace (no scope needed), or with
+ * team.info, which needs team:read
+ */
+async function lookupTeamDomain(teamId: string | null, client: WebClient): Promise<string | null> {
+  if (teamId) {
+    const installation = await prisma.installation.findUnique({
+      where: { team_id: teamId },
+      select: { team_domain: true },
+    });
+
+    if (installation?.team_domain) {
+      return installation.team_domain;
+    }
+  }
+
+  const auth = await client.auth.test();
+  let domain = !teamId || auth.team_id === teamId ? getDomainFromUrl(auth.url) : null;
+
+  // Workspaces of an org-wide installation, whose token belongs to the org
+  if (!domain) {
+    const response = await client.team.info(teamId ? { team: teamId } : {});
+    domain = response.team?.domain || null;
+  }
+
+  if (!domain) {
+    throw new Error('No workspace domain found');
+  }
+
+  await prisma.installation.updateMany({
+    where: { team_id: teamId || (auth.team_id as string) },
+    data: { team_domain: domain },
+  });
+
+  return domain;
+}
+
+/**
+ * Get a workspace's domain, e.g. "acme" for acme.slack.com, for building permalinks.
+ * It is looked up once per installation and stored with it; workspaces
+ * of an org-wide installation are only cached in memory. Returns null if the lookup
+ * fails, in which case permalinks go through slack.com.
+ */
+export function getTeamDomain(workspace: Pick<Workspace, 'teamId' | 'client'>): Promise<string | null> {
+  const { teamId, client } = workspace;
+  // Data stored before teams were tracked belongs to the token's own workspace
+  const cacheKey = teamId || '';
+  let lookup = teamDomains.get(cacheKey);
+
+  // Concurrent callers share one lookup
+  if (!lookup) {
+    lookup = lookupTeamDomain(teamId, client).catch((error) => {
+      logger.error({ error, teamId }, 'Failed to look up workspace domain');
+      setTimeout(() => teamDomains.delete(cacheKey), DOMAIN_RETRY_MS).unref();
+      return null;
+    });
+    teamDomains.set(cacheKey, lookup);
+  }
+
+  return lookup;
+}
+
+/**
+ * List every workspace to ingest and summarize: each workspace installation, each
+ * workspace of an org-wide installation, plus the SLACK_BOT_TOKEN workspace when it
+ * has no installation of its own. Rotating tokens that expire soon are refreshed first.
+ */
+export async function listWorkspaces(): Promise<Workspace[]> {
+  const legacy = await getLegacyTeam();
+  const installations = await prisma.installation.findMany({
+    orderBy: { installed_at: 'asc' },
+  });
+  const workspaces: Workspace[] = [];
+
+  for (const stored of installations) {
+    // Uninstalled, see tenants.ts
+    if (stored.disabled_at) {
+      continue;
+    }
+
+    const installation = await withFreshTokens(decryptInstallationTokens(stored));
+
+    if (!installation.is_enterprise_install) {
+      workspaces.push(toWorkspace(installation));
+      continue;
+    }
+
+    try {
+      const teams = await listOrgTeams(installation);
+      for (const team of teams) {
+        // A workspace with its own installation uses that one
+        if (!installations.some(i => i.team_id === team.id)) {
+          workspaces.push(toWorkspace(installation, team));
+        }
+      }
+    } catch (error) {
+      logger.error({ error, enterpriseId: installation.enterprise_id }, 'Failed to list org workspaces');
+    }
+  }
+
+  if (legacy && !installations.some(i => i.team_id === legacy.id) && !workspaces.some(w => w.teamId === legacy.id)) {
+    workspaces.push(toLegacyWorkspace(legacy.id, legacy.name));
+  }
+
+  return workspaces;
+}
+
+/**
+ * Get the workspace for a team. Data stored before teams were tracked has no team
+ * and belongs to the SLACK_BOT_TOKEN workspace. Returns null for teams the app is
+ * not installed in or was uninstalled from, so one tenant's data is never posted
+ * with another's token.
+ */
+export async function getWorkspace(teamId: string | null | undefined): Promise<Workspace | null> {
+  const legacy = await getLegacyTeam();
+
+  if (teamId) {
+    const installation = await prisma.installation.findUnique({
+      where: { team_id: teamId },
+    });
+
+    if (installation?.disabled_at) {
+      // Uninstalled, see tenants.ts
+      return null;
+    }
+
+    if (installation) {
+      return toWorkspace(await withFreshTokens(decryptInstallationTokens(installation)));
+    }
+
+    // Workspaces of an org with an org-wide installation
+    const orgInstallations = await prisma.installation.findMany({
+      where: { is_enterprise_install: true, disabled_at: null },
+    });
+
+    for (const stored of orgInstallations) {
+      const orgInstallation = await withFreshTokens(decryptInstallationTokens(stored));
+
+      try {
+        const team = (await listOrgTeams(orgInstallation)).find(t => t.id === teamId);
+        if (team) {
+          return toWorkspace(orgInstallation, team);
+        }
+      } catch (error) {
+        logger.error({ error, enterpriseId: orgInstallation.enterprise_id }, 'Failed to list org workspaces');
+      }
+    }
+  }
+
+  if (teamId && legacy?.id !== teamId) {
+    logger.warn({ teamId }, 'No installation for team');
+    return null;
+  }
+
+  return toLegacyWorkspace(teamId || legacy?.id || null, legacy?.name || 'Slack');
+}
+
+/**
+ * Whether a team is the workspace of the SLACK_BOT_TOKEN
+ */
+export async function isLegacyTeam(teamId: string) {
+  return (await getLegacyTeam())?.id === teamId;
+}
+
+/**
+ * Whether a team has an active installation, is covered by an org-wide installation,
+ * or is the SLACK_BOT_TOKEN workspace
+ */
+export async function isInstalledTeam(teamId: string) {
+  if (await isLegacyTeam(teamId)) {
+    return true;
+  }
+
+  const installation = await prisma.installation.findUnique({
+    where: { team_id: teamId },
+  });
+
+  if (installation) {
+    return !installation.disabled_at;
+  }
+
+  const orgInstallations = await prisma.installation.findMany({
+    where: { is_enterprise_install: true, disabled_at: null },
+  });
+
+  for (const stored of orgInstallations) {
+    try {
+      if ((await listOrgTeams(decryptInstallationTokens(stored))).some(t => t.id === teamId)) {
+        return true;
+      }
+    } catch (error) {
+      logger.error({ error, enterpriseId: stored.enterprise_id }, 'Failed to list org workspaces');
+    }
+  }
+
+  return false;
+}
+
+export default {
+  listWorkspaces,
+  getWorkspace,
+  isLegacyTeam,
+  isInstalledTeam,
+  getTeamDomain,
+  refreshInstallationTokens,
+  refreshExpiringTokens,
+  withFreshTokens,
+};